@@ -7,144 +7,358 @@
  * Implementa padrão Singleton para garantir uma única instância
  */
 class ApiManager {
-  constructor() {
+  /**
+   * @param {Object} options - Fonte de dados ({ type, ... }, ver createDataSource),
+   *   novas tentativas ({ retries, baseDelay, ... }) e disjuntor por servidor
+   *   ({ failureThreshold, resetTimeout })
+   */
+  constructor(options = {}) {
     if (ApiManager.instance) {
       return ApiManager.instance;
     }
 
     this.baseUrls = {
-      products: 'https://fakestoreapi.com/products',
-      users: 'https://randomuser.me/api',
+      localGames: 'data/jogos.json',
+      coupons: 'data/cupons.json',
     };
 
-    this.cache = new Map();
+    // Produtos, categorias e usuários vêm da fonte configurada
+    this.dataSource = createDataSource(
+      options.dataSource,
+      (url, requestOptions) => this.makeRequest(url, requestOptions)
+    );
+
+    // Fontes simuladas (modo de fixtures) respondem no lugar da rede
+    this.transport =
+      this.dataSource.transport || ((url, init) => fetch(url, init));
+
+    this.cache = new ApiCache();
     this.requestTimeout = 10000; // 10 segundos
+    this.retryPolicy = new RetryPolicy(options.retry);
+    this.circuitBreakerOptions = options.circuitBreaker || {};
+    this.circuitBreakers = new Map();
+
+    // Requisições em andamento, compartilhadas por chamadas idênticas
+    this.inFlight = new Map();
 
     ApiManager.instance = this;
   }
 
   /**
    * Método genérico para fazer requisições HTTP
+   * Respostas frescas vêm do cache; antigas são devolvidas na hora e
+   * atualizadas em segundo plano; vencidas só são usadas se a rede falhar
+   * ou se o servidor estiver com o circuito aberto
    * @param {string} url - URL da API
-   * @param {Object} options - Opções da requisição
+   * @param {Object} options - Opções do fetch; `signal` cancela apenas esta chamada
    * @returns {Promise} - Dados da resposta
    */
   async makeRequest(url, options = {}) {
-    const cacheKey = `${url}_${JSON.stringify(options)}`;
-
-    // Verificar cache primeiro
-    if (this.cache.has(cacheKey)) {
-      const cachedData = this.cache.get(cacheKey);
-      if (Date.now() - cachedData.timestamp < 300000) {
-        // 5 minutos
-        return cachedData.data;
-      }
+    const { signal, ...fetchOptions } = options;
+    if (signal?.aborted) {
+      throw new DOMException('Requisição cancelada', 'AbortError');
+    }
+
+    const cacheKey = `${url}_${JSON.stringify(fetchOptions)}`;
+    const cached = this.cache.get(cacheKey);
+
+    if (cached?.state === 'fresca') {
+      return cached.data;
+    }
+
+    // Uma requisição igual em andamento já passou pelo disjuntor
+    const breaker = this.getCircuitBreaker(url);
+    if (!this.inFlight.has(cacheKey) && !breaker.canRequest()) {
+      if (cached) return cached.data;
+      throw new CircuitOpenError(breaker.host);
+    }
+
+    if (cached?.state === 'antiga') {
+      this.request(url, fetchOptions, cacheKey).catch((error) =>
+        console.warn('Não foi possível atualizar o cache:', error)
+      );
+      return cached.data;
     }
 
     try {
+      return await this.request(url, fetchOptions, cacheKey, signal);
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+
+      if (cached) {
+        console.warn(`Usando dados em cache para ${url}:`, error);
+        return cached.data;
+      }
+
+      console.error('Erro na requisição:', error);
+      throw new Error(`Falha ao carregar dados: ${error.message}`);
+    }
+  }
+
+  /**
+   * Juntar-se a uma requisição idêntica em andamento ou iniciar uma nova
+   * A requisição compartilhada só é cancelada quando todos os interessados
+   * desistirem; quem não passa `signal` a mantém até o fim
+   * @param {string} url - URL da API
+   * @param {Object} options - Opções do fetch
+   * @param {string} cacheKey - Chave do cache (identifica requisições iguais)
+   * @param {AbortSignal} [signal] - Sinal de cancelamento de quem chamou
+   * @returns {Promise} - Dados da resposta
+   */
+  request(url, options, cacheKey, signal) {
+    let pending = this.inFlight.get(cacheKey);
+
+    if (!pending) {
       const controller = new AbortController();
-      const timeoutId = setTimeout(
-        () => controller.abort(),
-        this.requestTimeout
-      );
+      pending = { controller, waiters: 0 };
+      pending.promise = this.fetchWithRetry(
+        url,
+        options,
+        cacheKey,
+        controller.signal
+      ).finally(() => {
+        if (this.inFlight.get(cacheKey) === pending) {
+          this.inFlight.delete(cacheKey);
+        }
+      });
+      this.inFlight.set(cacheKey, pending);
+    }
+
+    pending.waiters += 1;
+    if (!signal) return pending.promise;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        pending.waiters -= 1;
+        if (pending.waiters === 0) {
+          this.inFlight.delete(cacheKey);
+          pending.controller.abort();
+        }
+        reject(new DOMException('Requisição cancelada', 'AbortError'));
+      };
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      pending.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Buscar dados tentando de novo em falhas temporárias (rede, tempo limite,
+   * 5xx e 429) e registrar o resultado no disjuntor do servidor
+   * @param {string} url - URL da API
+   * @param {Object} options - Opções do fetch
+   * @param {string} cacheKey - Chave do cache
+   * @param {AbortSignal} signal - Cancela a requisição e as esperas entre tentativas
+   * @returns {Promise} - Dados da resposta
+   */
+  async fetchWithRetry(url, options, cacheKey, signal) {
+    const breaker = this.getCircuitBreaker(url);
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const data = await this.fetchAndCache(url, options, cacheKey, signal);
+        breaker.recordSuccess();
+        return data;
+      } catch (error) {
+        if (error.name === 'AbortError') {
+          breaker.releaseTrial();
+          throw error;
+        }
+
+        if (!RetryPolicy.isTransient(error)) {
+          // O servidor respondeu (ex.: 404), então continua disponível
+          breaker.recordSuccess();
+          throw error;
+        }
+
+        // Outra requisição pode ter aberto o circuito durante a espera
+        if (
+          !this.retryPolicy.shouldRetry(error, attempt) ||
+          breaker.state === 'aberto'
+        ) {
+          breaker.recordFailure();
+          throw error;
+        }
+
+        console.warn(
+          `Tentativa ${attempt + 1} falhou para ${url}; tentando novamente:`,
+          error.message
+        );
+        await this.retryPolicy.wait(attempt, error, signal);
+      }
+    }
+  }
+
+  /**
+   * Buscar dados na rede e guardar a resposta no cache
+   * @param {string} url - URL da API
+   * @param {Object} options - Opções da requisição
+   * @param {string} cacheKey - Chave do cache
+   * @param {AbortSignal} [signal] - Sinal de cancelamento
+   * @returns {Promise} - Dados da resposta
+   */
+  async fetchAndCache(url, options, cacheKey, signal) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), this.requestTimeout);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
 
-      const response = await fetch(url, {
+    try {
+      const response = await this.transport(url, {
         ...options,
         signal: controller.signal,
       });
 
-      clearTimeout(timeoutId);
-
       if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+        throw new HttpError(
+          response.status,
+          HttpError.parseRetryAfter(response.headers.get('Retry-After'))
+        );
       }
 
       const data = await response.json();
-
-      // Armazenar no cache
-      this.cache.set(cacheKey, {
-        data,
-        timestamp: Date.now(),
-      });
-
+      this.cache.set(cacheKey, url, data);
       return data;
     } catch (error) {
-      console.error('Erro na requisição:', error);
-      throw new Error(`Falha ao carregar dados: ${error.message}`);
+      // Cancelamento pedido por quem chamou não é tempo limite esgotado
+      if (error.name === 'AbortError' && !signal?.aborted) {
+        throw new TimeoutError(this.requestTimeout);
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', cancel);
+    }
+  }
+
+  /**
+   * Obter (ou criar) o disjuntor do servidor de uma URL
+   * @param {string} url - URL da API
+   * @returns {CircuitBreaker} - Disjuntor do servidor
+   */
+  getCircuitBreaker(url) {
+    const { host } = new URL(url, window.location.href);
+
+    if (!this.circuitBreakers.has(host)) {
+      this.circuitBreakers.set(
+        host,
+        new CircuitBreaker(host, this.circuitBreakerOptions)
+      );
+    }
+
+    return this.circuitBreakers.get(host);
+  }
+
+  /**
+   * Procurar um produto nas respostas da fonte de dados configurada já
+   * guardadas no cache (respostas de outras fontes são ignoradas)
+   * @param {number|string} id - ID do produto
+   * @returns {Object|null} - Produto como entregue pela fonte de dados
+   */
+  findCachedProduct(id) {
+    const ownResponses = this.cache.values((url) =>
+      this.dataSource.ownsUrl(url)
+    );
+
+    for (const data of ownResponses) {
+      const product = this.dataSource
+        .readProducts(data)
+        .find((candidate) => String(candidate.id) === String(id));
+      if (product) return product;
     }
+
+    return null;
   }
 
+  /*
+   * Os métodos de busca abaixo repassam as falhas (depois das novas tentativas
+   * e da reserva do cache): o DataLoader decide entre estado de erro e reserva.
+   * Só os cupons, que são opcionais, já trazem reserva aqui
+   */
+
   /**
-   * Buscar produtos da Fake Store API
+   * Buscar produtos em destaque
    * @param {number} limit - Limite de produtos
+   * @param {Object} options - { signal } para cancelar a requisição
    * @returns {Promise<Array>} - Lista de produtos
    */
-  async fetchProducts(limit = 6) {
-    try {
-      const url = `${this.baseUrls.products}?limit=${limit}`;
-      return await this.makeRequest(url);
-    } catch (error) {
-      console.error('Erro ao buscar produtos:', error);
-      return [];
-    }
+  async fetchProducts(limit = 6, { signal } = {}) {
+    return this.dataSource.getProducts({ limit, signal });
   }
 
   /**
    * Buscar todos os produtos para catálogo
+   * @param {Object} options - { signal } para cancelar a requisição
    * @returns {Promise<Array>} - Lista completa de produtos
    */
-  async fetchAllProducts() {
-    try {
-      return await this.makeRequest(this.baseUrls.products);
-    } catch (error) {
-      console.error('Erro ao buscar catálogo:', error);
-      return [];
-    }
+  async fetchAllProducts({ signal } = {}) {
+    return this.dataSource.getProducts({ signal });
+  }
+
+  /**
+   * Buscar um produto pelo ID
+   * @param {number|string} id - ID do produto
+   * @param {Object} options - { signal } para cancelar a requisição
+   * @returns {Promise<Object|null>} - Produto encontrado
+   */
+  async fetchProductById(id, { signal } = {}) {
+    return this.dataSource.getProduct(id, { signal });
   }
 
   /**
    * Buscar produtos por categoria
    * @param {string} category - Categoria dos produtos
+   * @param {Object} options - { signal } para cancelar a requisição
    * @returns {Promise<Array>} - Produtos da categoria
    */
-  async fetchProductsByCategory(category) {
-    try {
-      const url = `${this.baseUrls.products}/category/${category}`;
-      return await this.makeRequest(url);
-    } catch (error) {
-      console.error('Erro ao buscar produtos por categoria:', error);
-      return [];
-    }
+  async fetchProductsByCategory(category, { signal } = {}) {
+    return this.dataSource.getProductsByCategory(category, { signal });
   }
 
   /**
    * Buscar usuários aleatórios
    * @param {number} results - Número de usuários
+   * @param {Object} options - { signal } para cancelar a requisição
    * @returns {Promise<Array>} - Lista de usuários
    */
-  async fetchRandomUsers(results = 6) {
+  async fetchRandomUsers(results = 6, { signal } = {}) {
+    return this.dataSource.getUsers(results, { signal });
+  }
+
+  /**
+   * Buscar jogos do catálogo local
+   * @param {Object} options - { signal } para cancelar a requisição
+   * @returns {Promise<Array>} - Lista de jogos
+   */
+  async fetchLocalGames({ signal } = {}) {
+    const response = await this.makeRequest(this.baseUrls.localGames, {
+      signal,
+    });
+    return response.games || [];
+  }
+
+  /**
+   * Buscar configuração de cupons e promoções
+   * @returns {Promise<Object>} - Configuração com a lista de cupons
+   */
+  async fetchCoupons() {
     try {
-      const url = `${this.baseUrls.users}?results=${results}`;
-      const response = await this.makeRequest(url);
-      return response.results || [];
+      return await this.makeRequest(this.baseUrls.coupons);
     } catch (error) {
-      console.error('Erro ao buscar usuários:', error);
-      return [];
+      console.error('Erro ao buscar cupons:', error);
+      return { coupons: [] };
     }
   }
 
   /**
    * Buscar categorias disponíveis
+   * @param {Object} options - { signal } para cancelar a requisição
    * @returns {Promise<Array>} - Lista de categorias
    */
-  async fetchCategories() {
-    try {
-      const url = `${this.baseUrls.products}/categories`;
-      return await this.makeRequest(url);
-    } catch (error) {
-      console.error('Erro ao buscar categorias:', error);
-      return [];
-    }
+  async fetchCategories({ signal } = {}) {
+    return this.dataSource.getCategories({ signal });
   }
 }
 
@@ -153,10 +367,15 @@ class ApiManager {
  */
 class ProductRenderer {
   constructor() {
-    this.currencyFormatter = new Intl.NumberFormat('pt-BR', {
-      style: 'currency',
-      currency: 'BRL',
-    });
+    this.currencyService = new CurrencyService();
+    this.productRepository = new ProductRepository();
+    this.wishlist = new WishlistStore();
+    this.comparison = new ComparisonStore();
+
+    // Reexibir preços sempre que a moeda ou as cotações mudarem
+    this.currencyService.subscribe(() => this.refreshPrices());
+    this.wishlist.subscribe(() => this.refreshWishlistButtons());
+    this.comparison.subscribe(() => this.refreshCompareToggles());
   }
 
   /**
@@ -182,15 +401,19 @@ class ProductRenderer {
    * Renderizar catálogo completo de produtos
    * @param {Array} products - Lista de produtos
    * @param {string} containerId - ID do container
+   * @param {boolean} append - Adicionar ao final em vez de substituir
    */
-  renderProductCatalog(products, containerId) {
+  renderProductCatalog(products, containerId, append = false) {
     const container = document.getElementById(containerId);
     if (!container) return;
 
-    container.innerHTML = '';
+    if (!append) container.innerHTML = '';
 
     products.forEach((product, index) => {
-      const productElement = this.createProductElement(product, 'catalog');
+      const productElement =
+        product.source === 'local'
+          ? this.createLocalGameElement(product)
+          : this.createProductElement(product, 'catalog');
       productElement.style.animationDelay = `${index * 0.05}s`;
       productElement.classList.add('fade-in');
       productElement.dataset.category = product.category;
@@ -208,39 +431,233 @@ class ProductRenderer {
     const article = document.createElement('article');
     article.className =
       type === 'featured' ? 'produto-api' : 'jogo produto-api';
+    article.dataset.productKey = product.key;
 
-    const price = this.currencyFormatter.format(product.price * 5.5); // Conversão USD para BRL
+    const price = this.formatPrice(product);
     const rating = this.createRatingStars(product.rating?.rate || 4);
     const shortDescription = this.truncateText(product.description, 100);
+    const title = this.truncateText(product.title, 50);
+    const productUrl = this.getProductUrl(product);
 
     article.innerHTML = `
+            ${this.createWishlistButton(product)}
             <img src="${product.image}" alt="${product.title}" loading="lazy">
-            <h3>${this.truncateText(product.title, 50)}</h3>
+            <h3>${productUrl ? `<a href="${productUrl}">${title}</a>` : title}</h3>
             <p>${shortDescription}</p>
             <div class="rating">
                 <span class="stars">${rating}</span>
                 <span>(${product.rating?.count || 0})</span>
             </div>
             <div class="preco">${price}</div>
+            ${this.createCompareToggle(product)}
             <button class="btn-comprar" data-product-id="${product.id}">
                 Comprar
             </button>
-            <button class="btn-detalhes" onclick="toggleProductDetails(${
-              product.id
-            })">
-                Ver Detalhes
-            </button>
-            <div class="detalhes-jogo" id="detalhes-${
-              product.id
-            }" style="display: none;">
-                <strong>Categoria:</strong> ${product.category}<br>
-                <strong>Descrição completa:</strong> ${product.description}
+            ${ProductDetails.markup(
+              product.key,
+              `<strong>Categoria:</strong> ${ProductRepository.getCategoryLabel(
+                product.category
+              )}<br>
+                <strong>Descrição completa:</strong> ${product.description}`
+            )}
+        `;
+
+    return article;
+  }
+
+  /**
+   * Criar elemento HTML para um jogo local
+   * @param {Object} product - Jogo normalizado
+   * @returns {HTMLElement} - Elemento do jogo
+   */
+  createLocalGameElement(product) {
+    const article = document.createElement('article');
+    article.className = 'jogo';
+    article.dataset.productKey = product.key;
+
+    article.innerHTML = `
+            ${this.createWishlistButton(product)}
+            <img src="${product.image}" alt="${product.imageAlt}" loading="lazy">
+            <h3>${product.title}</h3>
+            <p>${product.description}</p>
+            <div class="preco">${this.formatPrice(product)}</div>
+            ${this.createCompareToggle(product)}
+            <button class="btn-comprar">${
+              product.price === 0 ? 'Baixar' : 'Comprar'
+            }</button>
+            ${ProductDetails.markup(product.key, this.createGameDetails(product))}
+        `;
+
+    return article;
+  }
+
+  /**
+   * Criar conteúdo dos detalhes de um jogo local
+   * @param {Object} product - Jogo normalizado
+   * @returns {string} - HTML dos detalhes
+   */
+  createGameDetails(product) {
+    const { genre, mode, size, features } = product.metadata;
+
+    return `
+            <strong>🎮 Gênero:</strong> ${genre}<br>
+            <strong>🕹️ Plataformas:</strong> ${product.platforms.join(', ')}<br>
+            <strong>👥 Modo:</strong> ${mode}<br>
+            <strong>💾 Tamanho:</strong> ${size}<br>
+            <strong>⭐ Avaliação:</strong> ${product.rating?.rate ?? '-'}/5<br>
+            <strong>🎯 Características:</strong> ${features.join(', ')}
+        `;
+  }
+
+  /**
+   * Criar elemento da página de detalhes de um produto
+   * @param {Object} product - Produto normalizado
+   * @returns {HTMLElement} - Elemento com imagem, descrição, avaliação e compra
+   */
+  createProductDetailElement(product) {
+    const article = document.createElement('article');
+    article.className = 'produto-detalhe';
+    article.dataset.productKey = product.key;
+
+    article.innerHTML = `
+            <div class="produto-detalhe-imagem">
+                <img src="${product.image}" alt="${product.title}">
+            </div>
+            <div class="produto-detalhe-info">
+                <span class="produto-categoria">${ProductRepository.getCategoryLabel(
+                  product.category
+                )}</span>
+                <h2>${product.title}</h2>
+                ${this.createWishlistButton(product)}
+                ${this.createRatingSummary(product.rating)}
+                <div class="preco">${this.formatPrice(product)}</div>
+                <p class="produto-descricao">${product.description}</p>
+                <div class="produto-compra">
+                    <label for="quantidade-produto">Quantidade:</label>
+                    <input type="number" id="quantidade-produto" class="quantidade-produto" min="1" max="99" value="1">
+                    <button class="btn-comprar">Adicionar ao carrinho</button>
+                </div>
             </div>
         `;
 
     return article;
   }
 
+  /**
+   * Criar resumo da avaliação (estrelas, nota média e quantidade)
+   * @param {Object|null} rating - Avaliação normalizada
+   * @returns {string} - HTML do resumo
+   */
+  createRatingSummary(rating) {
+    if (!rating || rating.count === 0) {
+      return '<p class="avaliacao-resumo">Este produto ainda não foi avaliado.</p>';
+    }
+
+    return `
+            <div class="avaliacao-resumo">
+                <span class="stars" aria-hidden="true">${this.createRatingStars(
+                  rating.rate
+                )}</span>
+                <strong>${rating.rate.toFixed(1)} de 5</strong>
+                <span>(${rating.count} avaliações)</span>
+                <meter min="0" max="5" value="${rating.rate}" aria-label="Nota média">
+                    ${rating.rate.toFixed(1)} de 5
+                </meter>
+            </div>
+        `;
+  }
+
+  /**
+   * Criar botão de favorito (coração) de um produto
+   * @param {Object} product - Produto normalizado
+   * @returns {string} - HTML do botão
+   */
+  createWishlistButton(product) {
+    const isSaved = this.wishlist.has(product.key);
+
+    return `<button type="button" class="btn-favorito" aria-pressed="${isSaved}" aria-label="Favoritar ${product.title}">${
+      isSaved ? '♥' : '♡'
+    }</button>`;
+  }
+
+  /**
+   * Sincronizar os corações com a lista de favoritos
+   * @param {ParentNode} root - Elemento onde procurar os cards
+   */
+  refreshWishlistButtons(root = document) {
+    root.querySelectorAll('[data-product-key]').forEach((card) => {
+      const button = card.querySelector('.btn-favorito');
+      if (!button) return;
+
+      const isSaved = this.wishlist.has(card.dataset.productKey);
+      button.setAttribute('aria-pressed', String(isSaved));
+      button.textContent = isSaved ? '♥' : '♡';
+    });
+  }
+
+  /**
+   * Criar caixa "Comparar" de um produto
+   * @param {Object} product - Produto normalizado
+   * @returns {string} - HTML da caixa de seleção
+   */
+  createCompareToggle(product) {
+    const checked = this.comparison.has(product.key) ? ' checked' : '';
+
+    return `
+            <label class="comparar">
+                <input type="checkbox" class="comparar-checkbox"${checked}>
+                Comparar
+            </label>
+        `;
+  }
+
+  /**
+   * Sincronizar as caixas "Comparar" com a seleção
+   * @param {ParentNode} root - Elemento onde procurar os cards
+   */
+  refreshCompareToggles(root = document) {
+    root.querySelectorAll('[data-product-key]').forEach((card) => {
+      const checkbox = card.querySelector('.comparar-checkbox');
+      if (checkbox) {
+        checkbox.checked = this.comparison.has(card.dataset.productKey);
+      }
+    });
+  }
+
+  /**
+   * Obter endereço da página de detalhes de um produto
+   * @param {Object} product - Produto normalizado
+   * @returns {string|null} - URL da página (somente produtos da API)
+   */
+  getProductUrl(product) {
+    return product.source === 'api' ? `produto.html?id=${product.id}` : null;
+  }
+
+  /**
+   * Formatar preço do produto na moeda de exibição
+   * @param {Object} product - Produto normalizado
+   * @returns {string} - Preço formatado
+   */
+  formatPrice(product) {
+    if (product.price === 0) return 'Grátis';
+    return this.currencyService.format(product.price, product.currency);
+  }
+
+  /**
+   * Atualizar os preços exibidos nos cards de produtos
+   * @param {ParentNode} root - Elemento onde procurar os cards
+   */
+  refreshPrices(root = document) {
+    root.querySelectorAll('[data-product-key]').forEach((card) => {
+      const product = this.productRepository.findByElement(card);
+      const priceElement = card.querySelector('.preco');
+
+      if (product && priceElement) {
+        priceElement.textContent = this.formatPrice(product);
+      }
+    });
+  }
+
   /**
    * Criar estrelas de avaliação
    * @param {number} rating - Nota do produto
@@ -318,11 +735,39 @@ class UserRenderer {
  * Classe principal para gerenciar o carregamento de dados
  */
 class DataLoader {
-  constructor() {
-    this.apiManager = new ApiManager();
+  /**
+   * @param {Object} apiConfig - Configuração do ApiManager (fonte de dados, novas tentativas...)
+   */
+  constructor(apiConfig = {}) {
+    this.apiManager = new ApiManager(apiConfig);
+    this.productRepository = new ProductRepository();
     this.productRenderer = new ProductRenderer();
     this.userRenderer = new UserRenderer();
+    this.recentlyViewed = new RecentlyViewedStore();
+    this.catalogFilter = new CatalogFilter(this.productRenderer.currencyService);
+    this.localGames = [];
+    this.catalogProducts = [];
+    this.catalogState = CatalogFilter.defaultState();
+    this.catalogResults = [];
+    this.catalogQuery = '';
+    this.catalogPagination = {
+      page: 1,
+      pageSize: 8,
+      infiniteScroll: false,
+    };
     this.isLoading = false;
+    this.hasFullCatalog = false;
+    this.currentProduct = null;
+    this.productListeners = new Set();
+
+    // Cancela as requisições da página quando o usuário sai dela
+    this.pageRequests = new AbortController();
+    window.addEventListener('pagehide', () => this.cancelPendingRequests());
+
+    // A faixa de preço é expressa na moeda de exibição
+    this.productRenderer.currencyService.subscribe(() => {
+      if (this.catalogProducts.length > 0) this.renderCatalog();
+    });
   }
 
   /**
@@ -332,6 +777,8 @@ class DataLoader {
     const currentPage = this.getCurrentPage();
 
     try {
+      await this.loadLocalGames();
+
       switch (currentPage) {
         case 'index':
           await this.loadHomepageData();
@@ -339,10 +786,14 @@ class DataLoader {
         case 'produtos':
           await this.loadProductsPageData();
           break;
+        case 'produto':
+          await this.loadProductPageData();
+          break;
         default:
           console.log('Página sem dados de API específicos');
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Erro ao inicializar dados da página:', error);
       this.showErrorMessage(
         'Erro ao carregar dados. Tente novamente mais tarde.'
@@ -350,6 +801,15 @@ class DataLoader {
     }
   }
 
+  /**
+   * Cancelar as requisições ainda em andamento desta página
+   * Um novo controlador fica pronto caso a página seja restaurada do histórico
+   */
+  cancelPendingRequests() {
+    this.pageRequests.abort();
+    this.pageRequests = new AbortController();
+  }
+
   /**
    * Carregar dados da página inicial
    */
@@ -360,14 +820,207 @@ class DataLoader {
     ];
 
     await Promise.allSettled(loadingPromises);
+    await this.loadRecentlyViewed();
+  }
+
+  /**
+   * Carregar a seção "Vistos recentemente"
+   */
+  async loadRecentlyViewed() {
+    const containerElement = document.getElementById('vistos-recentemente');
+    if (!containerElement) return;
+
+    try {
+      const products = (
+        await Promise.all(
+          this.recentlyViewed
+            .getKeys()
+            .map((key) =>
+              // Um produto que não carregar não impede a exibição dos demais
+              this.resolveProduct(key, {
+                signal: this.pageRequests.signal,
+              }).catch((error) => {
+                if (error.name === 'AbortError') throw error;
+                console.warn(
+                  `Produto visto recentemente ${key} indisponível:`,
+                  error
+                );
+                return null;
+              })
+            )
+        )
+      ).filter(Boolean);
+
+      if (products.length === 0) return;
+
+      this.productRenderer.renderFeaturedProducts(
+        products,
+        'vistos-recentemente'
+      );
+      containerElement.closest('section').hidden = false;
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Erro ao carregar produtos vistos recentemente:', error);
+    }
+  }
+
+  /**
+   * Obter produto pela chave: repositório, cache da API e, por último, a rede
+   * @param {string} key - Chave do produto
+   * @param {Object} options - { signal } para cancelar a busca na rede
+   * @returns {Promise<Object|null>} - Produto normalizado
+   */
+  async resolveProduct(key, { signal } = {}) {
+    const registered = this.productRepository.get(key);
+    if (registered) return registered;
+
+    const { source, id } = ProductRepository.parseKey(key);
+    if (source !== 'api') return null;
+
+    const raw =
+      this.apiManager.findCachedProduct(id) ||
+      (await this.apiManager.fetchProductById(id, { signal }));
+
+    return raw?.id ? this.productRepository.registerApiProducts([raw])[0] : null;
   }
 
   /**
    * Carregar dados da página de produtos
    */
   async loadProductsPageData() {
-    await this.loadAllProducts();
-    this.setupCategoryFilters();
+    this.restoreCatalogState();
+
+    const [, categories] = await Promise.all([
+      this.loadAllProducts(),
+      // Sem categorias da API, os filtros usam a lista estática do HTML
+      this.apiManager
+        .fetchCategories({ signal: this.pageRequests.signal })
+        .catch((error) => {
+          if (error.name === 'AbortError') throw error;
+          console.error('Erro ao buscar categorias:', error);
+          return [];
+        }),
+    ]);
+    this.setupCategoryFilters(categories);
+    this.setupCatalogControls();
+    this.setupInfiniteScroll();
+    this.setupCatalogHistory();
+  }
+
+  /**
+   * Carregar o catálogo de jogos locais (categoria "games")
+   */
+  async loadLocalGames() {
+    try {
+      this.localGames = this.productRepository.registerLocalGames(
+        await this.apiManager.fetchLocalGames({
+          signal: this.pageRequests.signal,
+        })
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // A página continua com os produtos da API
+      console.error('Erro ao buscar jogos locais:', error);
+      this.localGames = [];
+    }
+  }
+
+  /**
+   * Carregar dados da página de um produto (produto.html?id=N)
+   */
+  async loadProductPageData() {
+    const loadingElement = document.getElementById('loading-produto');
+    const containerElement = document.getElementById('produto-detalhe');
+
+    if (!containerElement) return;
+
+    const id = new URLSearchParams(window.location.search).get('id');
+
+    try {
+      if (loadingElement) loadingElement.style.display = 'block';
+
+      const raw = id
+        ? await this.apiManager.fetchProductById(id, {
+            signal: this.pageRequests.signal,
+          })
+        : null;
+
+      if (!raw?.id) {
+        containerElement.innerHTML =
+          '<p class="produto-nao-encontrado">Produto não encontrado. <a href="produtos.html">Voltar ao catálogo</a></p>';
+        return;
+      }
+
+      const [product] = this.productRepository.registerApiProducts([raw]);
+      this.recentlyViewed.record(product.key);
+      containerElement.innerHTML = '';
+      containerElement.appendChild(
+        this.productRenderer.createProductDetailElement(product)
+      );
+
+      document.title = `GameStore - ${product.title}`;
+      const breadcrumb = document.getElementById('trilha-produto');
+      if (breadcrumb) breadcrumb.textContent = product.title;
+
+      this.currentProduct = product;
+      this.productListeners.forEach((listener) => listener(product));
+
+      await this.loadRelatedProducts(product);
+    } catch (error) {
+      if (error.name === 'AbortError') return;
+      console.error('Erro ao carregar produto:', error);
+      containerElement.innerHTML = '<p>Erro ao carregar produto.</p>';
+    } finally {
+      if (loadingElement) loadingElement.style.display = 'none';
+    }
+  }
+
+  /**
+   * Registrar função chamada quando o produto da página for carregado
+   * (imediatamente, se ele já estiver disponível)
+   * @param {Function} listener - Função que recebe o produto
+   * @returns {Function} - Função para cancelar o registro
+   */
+  onProductLoaded(listener) {
+    this.productListeners.add(listener);
+    if (this.currentProduct) listener(this.currentProduct);
+    return () => this.productListeners.delete(listener);
+  }
+
+  /**
+   * Carregar produtos da mesma categoria
+   * @param {Object} product - Produto exibido
+   * @param {number} limit - Quantidade máxima de produtos relacionados
+   */
+  async loadRelatedProducts(product, limit = 4) {
+    const containerElement = document.getElementById('produtos-relacionados');
+    if (!containerElement) return;
+
+    let rawProducts;
+    try {
+      rawProducts = await this.apiManager.fetchProductsByCategory(
+        product.category,
+        { signal: this.pageRequests.signal }
+      );
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      // Sem relacionados a seção continua oculta; o produto já foi exibido
+      console.error('Erro ao carregar produtos relacionados:', error);
+      return;
+    }
+
+    const related = this.productRepository
+      .registerApiProducts(rawProducts)
+      .filter((candidate) => candidate.key !== product.key)
+      .slice(0, limit);
+
+    if (related.length === 0) return;
+
+    this.productRenderer.renderFeaturedProducts(
+      related,
+      'produtos-relacionados'
+    );
+    containerElement.closest('section').hidden = false;
   }
 
   /**
@@ -382,7 +1035,11 @@ class DataLoader {
     try {
       if (loadingElement) loadingElement.style.display = 'block';
 
-      const products = await this.apiManager.fetchProducts(6);
+      const products = this.productRepository.registerApiProducts(
+        await this.apiManager.fetchProducts(6, {
+          signal: this.pageRequests.signal,
+        })
+      );
 
       if (products.length > 0) {
         this.productRenderer.renderFeaturedProducts(products, 'produtos-api');
@@ -391,6 +1048,7 @@ class DataLoader {
           '<p>Nenhum produto encontrado no momento.</p>';
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Erro ao carregar produtos em destaque:', error);
       containerElement.innerHTML =
         '<p>Erro ao carregar produtos em destaque.</p>';
@@ -411,7 +1069,9 @@ class DataLoader {
     try {
       if (loadingElement) loadingElement.style.display = 'block';
 
-      const users = await this.apiManager.fetchRandomUsers(6);
+      const users = await this.apiManager.fetchRandomUsers(6, {
+        signal: this.pageRequests.signal,
+      });
 
       if (users.length > 0) {
         this.userRenderer.renderOnlineUsers(users, 'usuarios-api');
@@ -419,6 +1079,7 @@ class DataLoader {
         containerElement.innerHTML = '<p>Nenhum usuário online no momento.</p>';
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Erro ao carregar usuários online:', error);
       containerElement.innerHTML = '<p>Erro ao carregar usuários online.</p>';
     } finally {
@@ -438,59 +1099,519 @@ class DataLoader {
     try {
       if (loadingElement) loadingElement.style.display = 'block';
 
-      const products = await this.apiManager.fetchAllProducts();
+      const products = this.productRepository.registerApiProducts(
+        await this.apiManager.fetchAllProducts({
+          signal: this.pageRequests.signal,
+        })
+      );
+      this.hasFullCatalog = products.length > 0;
 
-      if (products.length > 0) {
-        this.productRenderer.renderProductCatalog(
-          products,
-          'produtos-completos'
-        );
+      // Jogos locais e produtos da API formam um único catálogo
+      this.catalogProducts = [...this.localGames, ...products];
+
+      if (this.catalogProducts.length > 0) {
+        this.renderCatalog();
       } else {
         containerElement.innerHTML =
           '<p>Nenhum produto encontrado no catálogo.</p>';
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Erro ao carregar catálogo completo:', error);
-      containerElement.innerHTML =
-        '<p>Erro ao carregar catálogo de produtos.</p>';
+
+      // Os jogos locais continuam disponíveis mesmo sem a fonte de dados
+      if (this.localGames.length > 0) {
+        this.catalogProducts = [...this.localGames];
+        this.renderCatalog();
+        this.showErrorMessage(
+          'Alguns produtos não puderam ser carregados. Tente novamente mais tarde.'
+        );
+      } else {
+        containerElement.innerHTML =
+          '<p>Erro ao carregar catálogo de produtos.</p>';
+      }
     } finally {
       if (loadingElement) loadingElement.style.display = 'none';
     }
   }
 
+  /**
+   * Obter todos os produtos pesquisáveis, carregando o catálogo se necessário
+   * Se o catálogo já estiver sendo carregado, a mesma requisição é aproveitada
+   * @param {Object} options - { signal } para cancelar a pesquisa
+   * @returns {Promise<Array>} - Produtos normalizados
+   */
+  async loadSearchableProducts({ signal } = {}) {
+    if (!this.hasFullCatalog) {
+      try {
+        const products = await this.apiManager.fetchAllProducts({ signal });
+        this.productRepository.registerApiProducts(products);
+        this.hasFullCatalog = products.length > 0;
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        // A pesquisa segue com os produtos já carregados
+        console.warn('Catálogo indisponível para a pesquisa:', error);
+      }
+    }
+
+    return this.productRepository.getAll();
+  }
+
   /**
    * Configurar filtros de categoria
+   * @param {Array} categories - Categorias da API (vazio usa a lista estática do HTML)
    */
-  setupCategoryFilters() {
-    const filterButtons = document.querySelectorAll('.filtro-btn');
+  setupCategoryFilters(categories = []) {
+    const container = document.querySelector('.filtros');
+    if (!container) return;
 
-    filterButtons.forEach((button) => {
-      button.addEventListener('click', (e) => {
-        this.handleCategoryFilter(e.target.dataset.categoria);
+    const staticCategories = Array.from(
+      container.querySelectorAll('.filtro-btn')
+    )
+      .map((button) => button.dataset.categoria)
+      .filter((category) => category !== 'todos');
 
-        // Atualizar botão ativo
-        filterButtons.forEach((btn) => btn.classList.remove('active'));
-        e.target.classList.add('active');
-      });
+    // Cópia: a lista da API é a mesma guardada no cache
+    const available = [
+      ...(categories.length > 0 ? categories : staticCategories),
+    ];
+    if (this.localGames.length > 0 && !available.includes('games')) {
+      available.unshift('games');
+    }
+
+    this.renderCategoryButtons(container, available);
+
+    container.addEventListener('click', (e) => {
+      const button = e.target.closest('.filtro-btn');
+      if (button) this.handleCategoryFilter(button.dataset.categoria);
+    });
+  }
+
+  /**
+   * Gerar botões de categoria com a quantidade de produtos de cada uma
+   * @param {HTMLElement} container - Elemento .filtros
+   * @param {Array} categories - Chaves das categorias
+   */
+  renderCategoryButtons(container, categories) {
+    const counts = new Map();
+    this.catalogProducts.forEach((product) => {
+      counts.set(product.category, (counts.get(product.category) || 0) + 1);
+    });
+
+    const entries = [
+      ['todos', 'Todos', this.catalogProducts.length],
+      ...categories.map((category) => [
+        category,
+        ProductRepository.getCategoryLabel(category),
+        counts.get(category) || 0,
+      ]),
+    ];
+
+    container.innerHTML = '';
+    entries.forEach(([category, label, count]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'filtro-btn';
+      button.dataset.categoria = category;
+      button.textContent = label;
+
+      const countElement = document.createElement('span');
+      countElement.className = 'filtro-contagem';
+      countElement.textContent = `(${count})`;
+      button.append(' ', countElement);
+
+      container.appendChild(button);
     });
+
+    this.updateCategoryButtons();
   }
 
   /**
-   * Filtrar produtos por categoria
+   * Alternar categoria no filtro (várias podem estar ativas)
    * @param {string} category - Categoria selecionada
    */
   handleCategoryFilter(category) {
-    const products = document.querySelectorAll('.produto-api');
+    const { categories } = this.catalogState;
 
-    products.forEach((product) => {
-      if (category === 'todos' || product.dataset.category === category) {
-        product.style.display = 'block';
-        product.classList.add('fade-in');
-      } else {
-        product.style.display = 'none';
-        product.classList.remove('fade-in');
-      }
+    if (category === 'todos') {
+      this.catalogState.categories = [];
+    } else if (categories.includes(category)) {
+      this.catalogState.categories = categories.filter((c) => c !== category);
+    } else {
+      this.catalogState.categories = [...categories, category];
+    }
+
+    this.catalogPagination.page = 1;
+    this.updateCategoryButtons();
+    this.renderCatalog({ historyMode: 'push' });
+  }
+
+  /**
+   * Atualizar estado visual dos botões de categoria
+   */
+  updateCategoryButtons() {
+    const { categories } = this.catalogState;
+
+    document.querySelectorAll('.filtro-btn').forEach((button) => {
+      const category = button.dataset.categoria;
+      const isActive =
+        category === 'todos'
+          ? categories.length === 0
+          : categories.includes(category);
+
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-pressed', String(isActive));
+    });
+  }
+
+  /**
+   * Configurar ordenação, faixa de preço e avaliação mínima
+   */
+  setupCatalogControls() {
+    const form = document.getElementById('controles-catalogo');
+    if (!form) return;
+
+    const sortSelect = form.querySelector('#ordenacao');
+    sortSelect.innerHTML = Object.entries(this.catalogFilter.sortOptions)
+      .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+      .join('');
+
+    form.addEventListener('change', () => this.handleCatalogControlsChange(form));
+    form.addEventListener('input', () => {
+      // Aguardar o usuário terminar de digitar os preços
+      clearTimeout(this.controlsTimer);
+      this.controlsTimer = setTimeout(
+        () => this.handleCatalogControlsChange(form),
+        400
+      );
     });
+    form.addEventListener('submit', (e) => e.preventDefault());
+    form.addEventListener('reset', (e) => {
+      e.preventDefault();
+      this.clearFilters();
+    });
+
+    this.syncCatalogControls();
+  }
+
+  /**
+   * Ler os controles do formulário para o estado do catálogo
+   * @param {HTMLFormElement} form - Formulário de controles
+   */
+  handleCatalogControlsChange(form) {
+    clearTimeout(this.controlsTimer);
+
+    const controls = form.elements;
+    const parsePrice = (value) =>
+      value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+
+    this.catalogState = {
+      ...this.catalogState,
+      sort: controls.ordenacao.value,
+      minPrice: parsePrice(controls.precoMinimo.value),
+      maxPrice: parsePrice(controls.precoMaximo.value),
+      minRating: Number(controls.avaliacaoMinima.value) || 0,
+    };
+    this.catalogPagination = {
+      page: 1,
+      pageSize: Number(controls.itensPorPagina.value) || 8,
+      infiniteScroll: controls.rolagemInfinita.checked,
+    };
+
+    this.renderCatalog({ historyMode: 'push' });
+  }
+
+  /**
+   * Refletir o estado do catálogo nos controles do formulário
+   */
+  syncCatalogControls() {
+    const form = document.getElementById('controles-catalogo');
+    if (!form) return;
+
+    const controls = form.elements;
+    const { sort, minPrice, maxPrice, minRating } = this.catalogState;
+    controls.ordenacao.value = sort;
+    controls.precoMinimo.value = minPrice ?? '';
+    controls.precoMaximo.value = maxPrice ?? '';
+    controls.avaliacaoMinima.value = String(minRating);
+    controls.itensPorPagina.value = String(this.catalogPagination.pageSize);
+    controls.rolagemInfinita.checked = this.catalogPagination.infiniteScroll;
+  }
+
+  /**
+   * Remover todos os filtros mantendo a ordenação escolhida
+   */
+  clearFilters() {
+    this.catalogState = {
+      ...CatalogFilter.defaultState(),
+      sort: this.catalogState.sort,
+    };
+    this.catalogPagination.page = 1;
+
+    this.syncCatalogControls();
+    this.updateCategoryButtons();
+    this.renderCatalog({ historyMode: 'push' });
+  }
+
+  /**
+   * Renderizar catálogo aplicando filtros, ordenação e paginação
+   * @param {Object} options - historyMode: 'push', 'replace' ou null (não alterar a URL)
+   */
+  renderCatalog({ historyMode = 'replace' } = {}) {
+    const container = document.getElementById('produtos-completos');
+    if (!container) return;
+
+    this.catalogResults = this.catalogFilter.apply(
+      this.catalogProducts,
+      this.catalogState
+    );
+
+    const { pageSize, infiniteScroll } = this.catalogPagination;
+    const { page, totalPages, start, end } = CatalogFilter.paginate(
+      this.catalogResults,
+      this.catalogPagination.page,
+      pageSize
+    );
+    this.catalogPagination.page = page;
+
+    if (this.catalogResults.length > 0) {
+      // Na rolagem infinita as páginas anteriores continuam visíveis
+      this.productRenderer.renderProductCatalog(
+        this.catalogResults.slice(infiniteScroll ? 0 : start, end),
+        'produtos-completos'
+      );
+    } else {
+      container.innerHTML =
+        '<p class="catalogo-vazio">Nenhum produto corresponde aos filtros selecionados.</p>';
+    }
+
+    this.updateResultCount(this.catalogResults.length);
+    this.renderPagination(totalPages);
+    if (historyMode) this.updateCatalogUrl(historyMode);
+  }
+
+  /**
+   * Ir para uma página do catálogo
+   * @param {number} page - Página desejada
+   */
+  goToCatalogPage(page) {
+    this.catalogPagination.page = page;
+    this.renderCatalog({ historyMode: 'push' });
+
+    document
+      .getElementById('produtos-completos')
+      ?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  /**
+   * Acrescentar a próxima página ao catálogo (rolagem infinita)
+   */
+  loadNextCatalogPage() {
+    const { page, pageSize } = this.catalogPagination;
+    const next = CatalogFilter.paginate(this.catalogResults, page + 1, pageSize);
+
+    if (next.page === page) return;
+
+    this.catalogPagination.page = next.page;
+    this.productRenderer.renderProductCatalog(
+      next.items,
+      'produtos-completos',
+      true
+    );
+    this.renderPagination(next.totalPages);
+    this.updateCatalogUrl('replace');
+  }
+
+  /**
+   * Renderizar navegação entre páginas ou botão "Carregar mais"
+   * @param {number} totalPages - Total de páginas
+   */
+  renderPagination(totalPages) {
+    const container = document.getElementById('produtos-completos');
+    let nav = document.getElementById('paginacao-catalogo');
+
+    if (!nav) {
+      nav = document.createElement('nav');
+      nav.id = 'paginacao-catalogo';
+      nav.className = 'paginacao';
+      nav.setAttribute('aria-label', 'Paginação do catálogo');
+      nav.addEventListener('click', (e) => {
+        const button = e.target.closest('button');
+        if (!button || button.disabled) return;
+
+        if (button.dataset.action === 'carregar-mais') {
+          this.loadNextCatalogPage();
+        } else {
+          this.goToCatalogPage(Number(button.dataset.page));
+        }
+      });
+      container.after(nav);
+    }
+
+    const { page, infiniteScroll } = this.catalogPagination;
+    nav.hidden = totalPages <= 1;
+
+    if (infiniteScroll) {
+      nav.innerHTML =
+        page < totalPages
+          ? '<button type="button" class="btn-carregar-mais" data-action="carregar-mais">Carregar mais</button>'
+          : '';
+      this.observeLoadMore(nav.querySelector('.btn-carregar-mais'));
+      return;
+    }
+
+    const pageButtons = Array.from({ length: totalPages }, (_, index) => {
+      const number = index + 1;
+      const current = number === page ? ' aria-current="page"' : '';
+      return `<button type="button" class="pagina-btn" data-page="${number}"${current}>${number}</button>`;
+    }).join('');
+
+    nav.innerHTML = `
+      <button type="button" class="pagina-btn" data-page="${page - 1}" ${
+        page === 1 ? 'disabled' : ''
+      }>Anterior</button>
+      ${pageButtons}
+      <button type="button" class="pagina-btn" data-page="${page + 1}" ${
+        page === totalPages ? 'disabled' : ''
+      }>Próxima</button>
+    `;
+    this.observeLoadMore(null);
+  }
+
+  /**
+   * Configurar carregamento automático ao se aproximar do fim da lista
+   */
+  setupInfiniteScroll() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.scrollObserver = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          this.loadNextCatalogPage();
+        }
+      },
+      { rootMargin: '200px' }
+    );
+
+    this.observeLoadMore(document.querySelector('.btn-carregar-mais'));
+  }
+
+  /**
+   * Observar o botão "Carregar mais" (sem observador, o botão funciona manualmente)
+   * @param {HTMLElement|null} button - Botão a observar
+   */
+  observeLoadMore(button) {
+    if (!this.scrollObserver) return;
+
+    this.scrollObserver.disconnect();
+    if (button) this.scrollObserver.observe(button);
+  }
+
+  /**
+   * Restaurar filtros, busca e página a partir da URL
+   */
+  restoreCatalogState() {
+    const { filters, page, query } = CatalogUrlState.parse();
+
+    if (!this.catalogFilter.sortOptions[filters.sort]) {
+      filters.sort = 'relevancia';
+    }
+
+    this.catalogState = filters;
+    this.catalogPagination.page = page;
+    this.catalogQuery = query;
+  }
+
+  /**
+   * Gravar o estado do catálogo na URL
+   * @param {string} mode - 'push' cria entrada no histórico, 'replace' substitui a atual
+   */
+  updateCatalogUrl(mode = 'replace') {
+    const url = CatalogUrlState.toUrl(window.location.href, {
+      filters: this.catalogState,
+      page: this.catalogPagination.page,
+      query: this.catalogQuery,
+    });
+
+    if (url.href === window.location.href) return;
+
+    if (mode === 'push') {
+      history.pushState({ catalogScroll: 0 }, '', url);
+    } else {
+      history.replaceState(history.state, '', url);
+    }
+  }
+
+  /**
+   * Alterar o termo de busca guardado na URL
+   * @param {string} query - Termo pesquisado (vazio remove a busca)
+   */
+  setCatalogQuery(query) {
+    this.catalogQuery = query.trim();
+    this.updateCatalogUrl('push');
+  }
+
+  /**
+   * Reagir aos botões voltar/avançar e preservar a posição de rolagem
+   */
+  setupCatalogHistory() {
+    if ('scrollRestoration' in history) {
+      history.scrollRestoration = 'manual';
+    }
+
+    window.addEventListener('popstate', (e) => {
+      this.restoreCatalogState();
+      this.syncCatalogControls();
+      this.updateCategoryButtons();
+      this.renderCatalog({ historyMode: null });
+      this.restoreScrollPosition(e.state);
+    });
+
+    window.addEventListener(
+      'scroll',
+      () => {
+        clearTimeout(this.scrollTimer);
+        this.scrollTimer = setTimeout(() => this.saveScrollPosition(), 150);
+      },
+      { passive: true }
+    );
+
+    this.restoreScrollPosition(history.state);
+  }
+
+  /**
+   * Guardar a posição de rolagem na entrada atual do histórico
+   */
+  saveScrollPosition() {
+    history.replaceState(
+      { ...history.state, catalogScroll: window.scrollY },
+      '',
+      window.location.href
+    );
+  }
+
+  /**
+   * Voltar à posição de rolagem guardada no histórico
+   * @param {Object|null} state - Estado da entrada do histórico
+   */
+  restoreScrollPosition(state) {
+    if (typeof state?.catalogScroll === 'number') {
+      window.scrollTo(0, state.catalogScroll);
+    }
+  }
+
+  /**
+   * Atualizar contagem de resultados do catálogo
+   * @param {number} count - Quantidade de produtos exibidos
+   */
+  updateResultCount(count) {
+    const countElement = document.getElementById('contagem-resultados');
+    if (!countElement) return;
+
+    const total = this.catalogProducts.length;
+    countElement.textContent = CatalogFilter.hasActiveFilters(this.catalogState)
+      ? `Exibindo ${count} de ${total} produtos`
+      : `${total} produtos no catálogo`;
   }
 
   /**
@@ -536,39 +1657,107 @@ class DataLoader {
   }
 
   /**
-   * Limpar cache de dados
+   * Descrever as respostas guardadas no cache das APIs
+   * @returns {Array} - Entradas com URL, estado, camadas e validade
    */
-  clearCache() {
-    this.apiManager.cache.clear();
-    console.log('Cache de API limpo');
+  inspectCache() {
+    return this.apiManager.cache.inspect();
+  }
+
+  /**
+   * Invalidar respostas do cache das APIs
+   * @param {string|RegExp|Function} [matcher] - Trecho da URL, expressão ou
+   *   função que recebe a entrada; sem argumento limpa tudo
+   * @returns {number} - Quantidade de entradas removidas
+   */
+  invalidateCache(matcher) {
+    const removed = this.apiManager.cache.invalidate(matcher);
+    console.log(`Cache de API: ${removed} entrada(s) removida(s)`);
+    return removed;
   }
 }
 
 /**
- * Função global para alternar detalhes do produto
- * @param {number} productId - ID do produto
+ * Componente de detalhes expansíveis dos cards (API e jogos locais)
+ * Um único ouvinte delegado controla todos os botões .btn-detalhes
  */
-function toggleProductDetails(productId) {
-  const detailsElement = document.getElementById(`detalhes-${productId}`);
-  const button = document.querySelector(
-    `button[onclick="toggleProductDetails(${productId})"]`
-  );
-
-  if (detailsElement && button) {
-    if (detailsElement.style.display === 'none') {
-      detailsElement.style.display = 'block';
-      button.textContent = 'Ocultar Detalhes';
-      detailsElement.classList.add('fade-in');
-    } else {
-      detailsElement.style.display = 'none';
-      button.textContent = 'Ver Detalhes';
-      detailsElement.classList.remove('fade-in');
-    }
+class ProductDetails {
+  /**
+   * Gerar HTML do botão e do painel de detalhes
+   * @param {string} productKey - Chave do produto (base do ID do painel)
+   * @param {string} content - HTML do conteúdo do painel
+   * @returns {string} - HTML do botão e do painel
+   */
+  static markup(productKey, content) {
+    ProductDetails.count = (ProductDetails.count || 0) + 1;
+    const panelId = `detalhes-${productKey}-${ProductDetails.count}`;
+
+    return `
+            <button type="button" class="btn-detalhes" aria-expanded="false" aria-controls="${panelId}">
+                Ver Detalhes
+            </button>
+            <div class="detalhes-jogo" id="${panelId}" hidden>
+                ${content}
+            </div>
+        `;
+  }
+
+  /**
+   * Ativar a alternância dos detalhes dentro de um elemento
+   * @param {ParentNode} root - Elemento que recebe o ouvinte delegado
+   * @param {Function} onExpand - Chamada com o botão quando um painel é aberto
+   */
+  static mount(root = document, onExpand = () => {}) {
+    root.addEventListener('click', (e) => {
+      const button = e.target.closest('.btn-detalhes[aria-controls]');
+      if (button && ProductDetails.toggle(button)) onExpand(button);
+    });
+  }
+
+  /**
+   * Abrir ou fechar o painel controlado por um botão
+   * @param {HTMLElement} button - Botão .btn-detalhes
+   * @param {boolean} expanded - Estado desejado (padrão: inverter o atual)
+   * @returns {boolean} - Se o painel ficou aberto
+   */
+  static toggle(
+    button,
+    expanded = button.getAttribute('aria-expanded') !== 'true'
+  ) {
+    const panel = document.getElementById(button.getAttribute('aria-controls'));
+    if (!panel) return false;
+
+    button.setAttribute('aria-expanded', String(expanded));
+    button.textContent = expanded ? 'Ocultar Detalhes' : 'Ver Detalhes';
+    panel.hidden = !expanded;
+    panel.classList.toggle('fade-in', expanded);
+    return expanded;
   }
 }
 
+/*
+ * Configuração das APIs lida na inicialização
+ * Para usar outra fonte de dados, troque `dataSource`, por exemplo:
+ *   { type: 'json', url: 'data/fixtures/loja.json' }  - arquivo local, funciona offline
+ *   { type: 'fixtures', scenario: 'lento' }  - desenvolvimento (ver FixtureDataSource)
+ *   { type: 'rest', baseUrl: 'https://api.minhaloja.com.br', fields: { ... } }
+ *     - API própria com mapeamento de campos (ver RestDataSource)
+ * Em localhost, ?fixtures=cenário ativa o modo de fixtures sem editar o código;
+ * `fixturesFromUrl` libera o parâmetro em outros endereços (nunca em produção)
+ */
+const apiConfig = {
+  dataSource: { type: 'fakestore' },
+  fixturesFromUrl: false,
+};
+
 // Instância global do carregador de dados
-const dataLoader = new DataLoader();
+const dataLoader = new DataLoader({
+  ...apiConfig,
+  dataSource:
+    FixtureDataSource.configFromUrl(window.location, {
+      allowed: apiConfig.fixturesFromUrl,
+    }) || apiConfig.dataSource,
+});
 
 // Inicializar quando o DOM estiver carregado
 document.addEventListener('DOMContentLoaded', () => {
@@ -582,5 +1771,6 @@ if (typeof module !== 'undefined' && module.exports) {
     ProductRenderer,
     UserRenderer,
     DataLoader,
+    ProductDetails,
   };
 }
@@ -0,0 +1,450 @@
+// ========================================
+// GAMESTORE - CACHE DAS APIS
+// ========================================
+
+/**
+ * Camada de cache em memória (mais rápida, perdida ao trocar de página)
+ * Mantém a ordem de uso para descartar primeiro o que foi usado há mais tempo
+ */
+class MemoryCacheTier {
+  /**
+   * @param {number} maxEntries - Quantidade máxima de respostas guardadas
+   */
+  constructor(maxEntries = 100) {
+    this.name = 'memoria';
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  /**
+   * Obter entrada (e marcá-la como usada recentemente)
+   * @param {string} key - Chave da requisição
+   * @returns {Object|undefined} - Entrada do cache
+   */
+  get(key) {
+    const entry = this.peek(key);
+    if (!entry) return undefined;
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Obter entrada sem alterar a ordem de uso
+   * @param {string} key - Chave da requisição
+   * @returns {Object|undefined} - Entrada do cache
+   */
+  peek(key) {
+    return this.entries.get(key);
+  }
+
+  /**
+   * Guardar entrada, descartando as menos usadas acima do limite
+   * @param {string} key - Chave da requisição
+   * @param {Object} entry - Entrada do cache
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Remover entrada
+   * @param {string} key - Chave da requisição
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Listar chaves guardadas
+   * @returns {Array<string>} - Chaves
+   */
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+}
+
+/**
+ * Camada de cache no localStorage (sobrevive à navegação e funciona offline)
+ * Um índice guarda tamanho e último uso de cada entrada para aplicar o limite
+ */
+class LocalStorageCacheTier {
+  /**
+   * @param {Object} options - Prefixo das chaves e limite de tamanho (caracteres)
+   */
+  constructor({ prefix = 'gamestore_api_cache', maxSize = 2000000 } = {}) {
+    this.name = 'localStorage';
+    this.prefix = prefix;
+    this.indexKey = `${prefix}_index`;
+    this.maxSize = maxSize;
+  }
+
+  /**
+   * Obter entrada do localStorage
+   * @param {string} key - Chave da requisição
+   * @returns {Object|undefined} - Entrada do cache
+   */
+  get(key) {
+    const entry = this.peek(key);
+    if (!entry) return undefined;
+
+    const index = this.readIndex();
+    if (index[key]) {
+      index[key].accessedAt = Date.now();
+      this.writeIndex(index);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Obter entrada sem registrar o uso
+   * @param {string} key - Chave da requisição
+   * @returns {Object|undefined} - Entrada do cache
+   */
+  peek(key) {
+    try {
+      const saved = localStorage.getItem(this.getStorageKey(key));
+      return saved ? JSON.parse(saved) : undefined;
+    } catch (error) {
+      console.warn('Não foi possível ler o cache local:', error);
+      return undefined;
+    }
+  }
+
+  /**
+   * Guardar entrada, liberando espaço quando o limite ou a cota forem atingidos
+   * @param {string} key - Chave da requisição
+   * @param {Object} entry - Entrada do cache
+   */
+  set(key, entry) {
+    const serialized = JSON.stringify(entry);
+    if (serialized.length > this.maxSize) return;
+
+    const index = this.readIndex();
+    delete index[key];
+    this.evict(index, serialized.length);
+
+    try {
+      localStorage.setItem(this.getStorageKey(key), serialized);
+    } catch (error) {
+      // Cota do navegador esgotada: descartar tudo o que for deste cache e tentar de novo
+      this.evict(index, Infinity);
+      try {
+        localStorage.setItem(this.getStorageKey(key), serialized);
+      } catch (retryError) {
+        console.warn('Não foi possível salvar no cache local:', retryError);
+        this.writeIndex(index);
+        return;
+      }
+    }
+
+    index[key] = {
+      size: serialized.length,
+      accessedAt: Date.now(),
+      staleUntil: entry.staleUntil,
+    };
+    this.writeIndex(index);
+  }
+
+  /**
+   * Remover entrada
+   * @param {string} key - Chave da requisição
+   */
+  delete(key) {
+    const index = this.readIndex();
+    delete index[key];
+    this.removeItem(key);
+    this.writeIndex(index);
+  }
+
+  /**
+   * Listar chaves guardadas
+   * @returns {Array<string>} - Chaves
+   */
+  keys() {
+    return Object.keys(this.readIndex());
+  }
+
+  /**
+   * Liberar espaço acima do limite: primeiro as entradas vencidas,
+   * depois as usadas há mais tempo
+   * @param {Object} index - Índice do cache (alterado no lugar)
+   * @param {number} incomingSize - Tamanho da entrada que será gravada
+   */
+  evict(index, incomingSize) {
+    const now = Date.now();
+    const candidates = Object.entries(index).sort(
+      ([, a], [, b]) =>
+        (b.staleUntil < now) - (a.staleUntil < now) ||
+        a.accessedAt - b.accessedAt
+    );
+    let total = candidates.reduce((sum, [, meta]) => sum + meta.size, 0);
+
+    for (const [key, meta] of candidates) {
+      if (total + incomingSize <= this.maxSize) break;
+
+      this.removeItem(key);
+      delete index[key];
+      total -= meta.size;
+    }
+  }
+
+  /**
+   * Chave do localStorage de uma entrada
+   * @param {string} key - Chave da requisição
+   * @returns {string} - Chave no localStorage
+   */
+  getStorageKey(key) {
+    return `${this.prefix}:${key}`;
+  }
+
+  /**
+   * Remover item do localStorage
+   * @param {string} key - Chave da requisição
+   */
+  removeItem(key) {
+    try {
+      localStorage.removeItem(this.getStorageKey(key));
+    } catch (error) {
+      console.warn('Não foi possível remover do cache local:', error);
+    }
+  }
+
+  /**
+   * Ler índice do cache
+   * @returns {Object} - Metadados por chave
+   */
+  readIndex() {
+    try {
+      return JSON.parse(localStorage.getItem(this.indexKey)) || {};
+    } catch (error) {
+      console.warn('Não foi possível ler o índice do cache local:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Salvar índice do cache
+   * @param {Object} index - Metadados por chave
+   */
+  writeIndex(index) {
+    try {
+      localStorage.setItem(this.indexKey, JSON.stringify(index));
+    } catch (error) {
+      console.warn('Não foi possível salvar o índice do cache local:', error);
+    }
+  }
+}
+
+/**
+ * Cache em camadas das respostas das APIs
+ *
+ * Cada entrada passa por três estados, definidos pela política do endpoint:
+ *   fresca  - dentro do ttl, usada sem ir à rede
+ *   antiga  - dentro de staleTtl, usada na hora e atualizada em segundo plano
+ *   vencida - só usada quando a rede falha (modo offline)
+ */
+class ApiCache {
+  /**
+   * @param {Object} options - Camadas (da mais rápida para a mais lenta) e políticas
+   */
+  constructor({
+    tiers = [new MemoryCacheTier(), new LocalStorageCacheTier()],
+    policies = ApiCache.defaultPolicies(),
+  } = {}) {
+    this.tiers = tiers;
+    this.policies = policies;
+  }
+
+  /**
+   * Políticas por endpoint; a primeira que combinar com a URL vale
+   * @returns {Array} - { name, match, ttl, staleTtl } com tempos em milissegundos
+   */
+  static defaultPolicies() {
+    const minute = 60 * 1000;
+    const hour = 60 * minute;
+
+    return [
+      {
+        name: 'categorias',
+        match: /fakestoreapi\.com\/products\/categories/,
+        ttl: 6 * hour,
+        staleTtl: 7 * 24 * hour,
+      },
+      {
+        name: 'produtos',
+        match: /fakestoreapi\.com\/products/,
+        ttl: 10 * minute,
+        staleTtl: 24 * hour,
+      },
+      {
+        name: 'usuarios',
+        match: /randomuser\.me/,
+        ttl: 5 * minute,
+        staleTtl: hour,
+      },
+      {
+        // Modo de fixtures: sempre vai ao servidor simulado, para que atrasos
+        // e falhas apareçam; o cache só serve de reserva quando ele falha
+        name: 'fixtures',
+        match: /fixtures\.gamestore\.local/,
+        ttl: 0,
+        staleTtl: 0,
+      },
+      {
+        name: 'arquivos-locais',
+        match: /^data\//,
+        ttl: minute,
+        staleTtl: 24 * hour,
+      },
+      { name: 'padrao', match: /.*/, ttl: 5 * minute, staleTtl: hour },
+    ];
+  }
+
+  /**
+   * Obter política de uma URL
+   * @param {string} url - URL da requisição
+   * @returns {Object} - Política do endpoint
+   */
+  getPolicy(url) {
+    return this.policies.find((policy) => policy.match.test(url));
+  }
+
+  /**
+   * Procurar resposta nas camadas, promovendo-a para as camadas mais rápidas
+   * @param {string} key - Chave da requisição
+   * @returns {Object|null} - { data, state, entry } ou null
+   */
+  get(key) {
+    for (let i = 0; i < this.tiers.length; i++) {
+      const entry = this.tiers[i].get(key);
+      if (!entry) continue;
+
+      this.tiers.slice(0, i).forEach((tier) => tier.set(key, entry));
+      return { data: entry.data, state: this.getState(entry), entry };
+    }
+
+    return null;
+  }
+
+  /**
+   * Guardar resposta em todas as camadas
+   * @param {string} key - Chave da requisição
+   * @param {string} url - URL da requisição (define a política)
+   * @param {*} data - Resposta da API
+   */
+  set(key, url, data) {
+    const policy = this.getPolicy(url);
+    const storedAt = Date.now();
+    const entry = {
+      url,
+      policy: policy.name,
+      data,
+      storedAt,
+      expiresAt: storedAt + policy.ttl,
+      staleUntil: storedAt + policy.ttl + policy.staleTtl,
+    };
+
+    this.tiers.forEach((tier) => tier.set(key, entry));
+  }
+
+  /**
+   * Estado de uma entrada
+   * @param {Object} entry - Entrada do cache
+   * @param {number} now - Momento de referência
+   * @returns {string} - 'fresca', 'antiga' ou 'vencida'
+   */
+  getState(entry, now = Date.now()) {
+    if (now < entry.expiresAt) return 'fresca';
+    if (now < entry.staleUntil) return 'antiga';
+    return 'vencida';
+  }
+
+  /**
+   * Listar respostas guardadas (sem duplicar as presentes em mais de uma camada)
+   * @param {Function} [filter] - Recebe a URL da resposta; só entram as aceitas
+   * @returns {Array} - Dados das respostas
+   */
+  values(filter = () => true) {
+    return this.inspect()
+      .filter(({ url }) => filter(url))
+      .map(({ entry }) => entry.data);
+  }
+
+  /**
+   * Descrever as entradas guardadas, para depuração
+   * @returns {Array} - { key, url, policy, state, tiers, storedAt, expiresAt, staleUntil, entry }
+   */
+  inspect() {
+    const report = new Map();
+
+    this.tiers.forEach((tier) => {
+      tier.keys().forEach((key) => {
+        if (!report.has(key)) {
+          const entry = tier.peek(key);
+          if (!entry) return;
+
+          report.set(key, {
+            key,
+            url: entry.url,
+            policy: entry.policy,
+            state: this.getState(entry),
+            tiers: [],
+            storedAt: new Date(entry.storedAt),
+            expiresAt: new Date(entry.expiresAt),
+            staleUntil: new Date(entry.staleUntil),
+            entry,
+          });
+        }
+        report.get(key).tiers.push(tier.name);
+      });
+    });
+
+    return Array.from(report.values());
+  }
+
+  /**
+   * Remover entradas de todas as camadas
+   * @param {string|RegExp|Function} [matcher] - Trecho da URL, expressão ou função
+   *   que recebe a entrada; sem argumento remove tudo
+   * @returns {number} - Quantidade de entradas removidas
+   */
+  invalidate(matcher) {
+    const matches = (item) => {
+      if (!matcher) return true;
+      if (typeof matcher === 'function') return matcher(item);
+      if (matcher instanceof RegExp) return matcher.test(item.url);
+      return item.url.includes(matcher);
+    };
+
+    const removed = this.inspect().filter(matches);
+    removed.forEach(({ key }) =>
+      this.tiers.forEach((tier) => tier.delete(key))
+    );
+    return removed.length;
+  }
+
+  /**
+   * Remover todas as entradas
+   * @returns {number} - Quantidade de entradas removidas
+   */
+  clear() {
+    return this.invalidate();
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MemoryCacheTier,
+    LocalStorageCacheTier,
+    ApiCache,
+  };
+}
@@ -0,0 +1,706 @@
+// ========================================
+// GAMESTORE - CARRINHO DE COMPRAS
+// ========================================
+
+/**
+ * Modelo do carrinho de compras com itens por produto
+ * Persiste no localStorage usando um esquema versionado
+ */
+class CartStore {
+  constructor() {
+    this.storageKey = 'gamestore_cart';
+    this.legacyCountKey = 'gamestore_cart_count';
+    this.schemaVersion = 3;
+    this.maxQuantity = 99;
+
+    this.items = new Map();
+    this.listeners = new Set();
+
+    // Migrações indexadas pela versão de origem
+    this.migrations = {
+      0: (legacy) => {
+        // O contador antigo não guardava os produtos, apenas a quantidade
+        if (legacy.count > 0) {
+          console.info(
+            `Carrinho legado com ${legacy.count} item(ns) sem dados de produto descartado`
+          );
+        }
+        return { version: 1, items: [] };
+      },
+      1: (data) => ({
+        // Na versão 1 os preços já eram gravados convertidos para reais
+        version: 2,
+        items: data.items.map((item) => ({ ...item, currency: 'BRL' })),
+      }),
+      2: (data) => ({
+        // A categoria passou a ser gravada para os cupons por categoria;
+        // a dos produtos da API é descoberta depois (ver setCategoryResolver)
+        version: 3,
+        items: data.items.map((item) =>
+          item.source === 'local' && !item.category
+            ? { ...item, category: 'games' }
+            : item
+        ),
+      }),
+    };
+
+    // Conversão dos preços para a moeda de exibição dos totais
+    this.priceConverter = (amount) => amount;
+
+    // Categoria de itens gravados sem ela (carrinhos migrados)
+    this.categoryResolver = () => null;
+  }
+
+  /**
+   * Gerar chave única de um item do carrinho
+   * @param {string} source - Origem do produto ('api' ou 'local')
+   * @param {string|number} id - ID do produto
+   * @returns {string} - Chave do item
+   */
+  static createKey(source, id) {
+    return `${source}-${id}`;
+  }
+
+  /**
+   * Carregar carrinho do localStorage, migrando esquemas antigos
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(this.storageKey);
+      let data = saved ? JSON.parse(saved) : null;
+
+      if (!data) {
+        const legacyCount = localStorage.getItem(this.legacyCountKey);
+        if (legacyCount === null) return;
+        data = { version: 0, count: parseInt(legacyCount, 10) || 0 };
+      }
+
+      const migrated = this.migrate(data);
+      this.items = new Map(
+        migrated.items.map((item) => [
+          CartStore.createKey(item.source, item.id),
+          item,
+        ])
+      );
+
+      if (migrated !== data) {
+        this.save();
+        localStorage.removeItem(this.legacyCountKey);
+      }
+
+      this.notify();
+    } catch (error) {
+      console.warn('Não foi possível carregar o carrinho:', error);
+    }
+  }
+
+  /**
+   * Aplicar migrações até a versão atual do esquema
+   * @param {Object} data - Dados persistidos
+   * @returns {Object} - Dados na versão atual
+   */
+  migrate(data) {
+    let current = data;
+
+    while ((current.version || 0) < this.schemaVersion) {
+      const migration = this.migrations[current.version || 0];
+      if (!migration) {
+        throw new Error(`Versão de carrinho desconhecida: ${current.version}`);
+      }
+      current = migration(current);
+    }
+
+    return current;
+  }
+
+  /**
+   * Salvar carrinho no localStorage
+   */
+  save() {
+    try {
+      const payload = {
+        version: this.schemaVersion,
+        items: Array.from(this.items.values()),
+      };
+      localStorage.setItem(this.storageKey, JSON.stringify(payload));
+    } catch (error) {
+      console.warn('Não foi possível salvar o carrinho:', error);
+    }
+  }
+
+  /**
+   * Adicionar produto ao carrinho
+   * @param {Object} product - Produto normalizado do ProductRepository
+   * @param {number} quantity - Quantidade a adicionar
+   * @returns {Object} - Item atualizado
+   */
+  addItem(product, quantity = 1) {
+    const key = CartStore.createKey(product.source, product.id);
+    const existing = this.items.get(key);
+
+    if (existing) {
+      existing.quantity = this.clampQuantity(existing.quantity + quantity);
+      // Itens migrados sem categoria a recebem quando o produto é adicionado de novo
+      existing.category = existing.category || product.category;
+    } else {
+      this.items.set(key, {
+        id: product.id,
+        source: product.source,
+        name: product.title,
+        unitPrice: product.price,
+        currency: product.currency,
+        category: product.category,
+        image: product.image || '',
+        quantity: this.clampQuantity(quantity),
+      });
+    }
+
+    this.commit();
+    return this.items.get(key);
+  }
+
+  /**
+   * Remover item do carrinho
+   * @param {string} key - Chave do item
+   */
+  removeItem(key) {
+    if (this.items.delete(key)) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Atualizar quantidade de um item (zero remove o item)
+   * @param {string} key - Chave do item
+   * @param {number} quantity - Nova quantidade
+   */
+  updateQuantity(key, quantity) {
+    const item = this.items.get(key);
+    if (!item) return;
+
+    if (quantity <= 0) {
+      this.removeItem(key);
+      return;
+    }
+
+    item.quantity = this.clampQuantity(quantity);
+    this.commit();
+  }
+
+  /**
+   * Esvaziar o carrinho
+   */
+  clear() {
+    this.items.clear();
+    this.commit();
+  }
+
+  /**
+   * Obter itens com preço convertido e subtotal de cada linha
+   * @returns {Array} - Itens do carrinho
+   */
+  getItems() {
+    return Array.from(this.items.entries()).map(([key, item]) => {
+      // Guardada no item, a categoria descoberta é gravada no próximo salvamento
+      if (!item.category) {
+        const category = this.categoryResolver(item);
+        if (category) item.category = category;
+      }
+
+      const displayUnitPrice = this.priceConverter(
+        item.unitPrice,
+        item.currency
+      );
+
+      return {
+        ...item,
+        key,
+        displayUnitPrice,
+        lineTotal: displayUnitPrice * item.quantity,
+      };
+    });
+  }
+
+  /**
+   * Obter quantidade total de unidades no carrinho
+   * @returns {number} - Quantidade total
+   */
+  getItemCount() {
+    let count = 0;
+    this.items.forEach((item) => {
+      count += item.quantity;
+    });
+    return count;
+  }
+
+  /**
+   * Obter subtotal do carrinho
+   * @returns {number} - Soma dos subtotais das linhas
+   */
+  getSubtotal() {
+    return this.getItems().reduce((total, item) => total + item.lineTotal, 0);
+  }
+
+  /**
+   * Definir conversão de preços usada nos subtotais
+   * @param {Function} converter - Função (valor, moeda) => valor convertido
+   */
+  setPriceConverter(converter) {
+    this.priceConverter = converter;
+    this.notify();
+  }
+
+  /**
+   * Definir como descobrir a categoria de itens gravados sem ela
+   * @param {Function} resolver - Função (item) => categoria ou null
+   */
+  setCategoryResolver(resolver) {
+    this.categoryResolver = resolver;
+    this.notify();
+  }
+
+  /**
+   * Registrar função chamada a cada alteração do carrinho
+   * @param {Function} listener - Função que recebe o carrinho
+   * @returns {Function} - Função para cancelar o registro
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persistir e notificar alterações
+   */
+  commit() {
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Notificar ouvintes registrados
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+
+  /**
+   * Limitar quantidade ao intervalo permitido
+   * @param {number} quantity - Quantidade desejada
+   * @returns {number} - Quantidade válida
+   */
+  clampQuantity(quantity) {
+    const value = Math.floor(Number(quantity)) || 1;
+    return Math.min(Math.max(value, 1), this.maxQuantity);
+  }
+}
+
+/**
+ * Painel lateral do carrinho com itens, cupom, quantidades e totais
+ */
+class CartDrawer {
+  /**
+   * @param {CartStore} cart - Modelo do carrinho
+   * @param {CurrencyService} currencyService - Serviço de moeda para formatar valores
+   * @param {PricingRules} pricing - Regras de cupons aplicadas ao total
+   */
+  constructor(cart, currencyService, pricing) {
+    this.cart = cart;
+    this.currencyService = currencyService;
+    this.pricing = pricing;
+    this.isOpen = false;
+    this.trigger = null;
+    this.onCheckout = null;
+    this.onNotify = () => {};
+    this.elements = {};
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Criar o painel no documento e vincular eventos
+   * @param {HTMLElement} trigger - Botão que abre o painel
+   */
+  mount(trigger) {
+    this.trigger = trigger;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'carrinho-overlay';
+    overlay.hidden = true;
+
+    const panel = document.createElement('aside');
+    panel.id = 'carrinho-painel';
+    panel.className = 'carrinho-painel';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', 'carrinho-titulo');
+    panel.hidden = true;
+    panel.innerHTML = `
+            <div class="carrinho-cabecalho">
+                <h2 id="carrinho-titulo">🛒 Seu Carrinho</h2>
+                <button type="button" class="carrinho-fechar" aria-label="Fechar carrinho">✕</button>
+            </div>
+            <ul class="carrinho-itens" aria-live="polite"></ul>
+            <p class="carrinho-vazio">Seu carrinho está vazio.</p>
+            <div class="carrinho-rodape">
+                <form class="carrinho-cupom" novalidate>
+                    <label for="codigo-cupom">Cupom de desconto:</label>
+                    <div class="carrinho-cupom-campo">
+                        <input type="text" id="codigo-cupom" name="cupom" autocomplete="off" spellcheck="false">
+                        <button type="submit">Aplicar</button>
+                    </div>
+                </form>
+                <div class="carrinho-cupom-aplicado" hidden></div>
+                <dl class="carrinho-descontos"></dl>
+                <div class="carrinho-resumo">
+                    <span>Total:</span>
+                    <strong class="carrinho-total"></strong>
+                </div>
+                <button type="button" class="carrinho-finalizar">Finalizar compra</button>
+            </div>
+        `;
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(panel);
+
+    this.elements = {
+      overlay,
+      panel,
+      list: panel.querySelector('.carrinho-itens'),
+      empty: panel.querySelector('.carrinho-vazio'),
+      footer: panel.querySelector('.carrinho-rodape'),
+      total: panel.querySelector('.carrinho-total'),
+      couponForm: panel.querySelector('.carrinho-cupom'),
+      couponApplied: panel.querySelector('.carrinho-cupom-aplicado'),
+      discounts: panel.querySelector('.carrinho-descontos'),
+      closeButton: panel.querySelector('.carrinho-fechar'),
+      checkoutButton: panel.querySelector('.carrinho-finalizar'),
+    };
+
+    trigger.setAttribute('aria-controls', panel.id);
+    trigger.setAttribute('aria-expanded', 'false');
+    trigger.addEventListener('click', () => this.toggle());
+    overlay.addEventListener('click', () => this.close());
+    this.elements.closeButton.addEventListener('click', () => this.close());
+    this.elements.checkoutButton.addEventListener('click', () => {
+      this.close();
+      if (this.onCheckout) this.onCheckout();
+    });
+    this.elements.list.addEventListener('click', (e) => this.handleItemAction(e));
+    this.elements.list.addEventListener('change', (e) =>
+      this.handleQuantityInput(e)
+    );
+
+    this.elements.couponForm.addEventListener('submit', (e) =>
+      this.handleCouponSubmit(e)
+    );
+    this.elements.couponApplied.addEventListener('click', (e) => {
+      if (!e.target.closest('button[data-action="remove-coupon"]')) return;
+      this.pricing.removeCoupon();
+      this.elements.couponForm.elements.cupom.focus();
+    });
+
+    this.cart.subscribe(() => this.render());
+    this.pricing.subscribe(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Aplicar o cupom digitado, avisando o motivo quando ele não vale
+   * @param {Event} event - Evento de submit
+   */
+  handleCouponSubmit(event) {
+    event.preventDefault();
+
+    const input = event.target.elements.cupom;
+
+    try {
+      const coupon = this.pricing.applyCoupon(input.value);
+      input.value = '';
+      this.onNotify(`🏷️ Cupom ${coupon.code} aplicado!`, 'success');
+    } catch (error) {
+      this.onNotify(`❌ ${error.message}`, 'error');
+      input.focus();
+    }
+  }
+
+  /**
+   * Alternar visibilidade do painel
+   */
+  toggle() {
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+
+  /**
+   * Abrir o painel e mover o foco para dentro dele
+   */
+  open() {
+    const { panel, overlay, closeButton } = this.elements;
+
+    this.isOpen = true;
+    panel.hidden = false;
+    overlay.hidden = false;
+    panel.classList.add('aberto');
+    this.trigger.setAttribute('aria-expanded', 'true');
+
+    document.addEventListener('keydown', this.handleKeydown);
+    closeButton.focus();
+  }
+
+  /**
+   * Fechar o painel e devolver o foco ao botão do carrinho
+   */
+  close() {
+    const { panel, overlay } = this.elements;
+
+    this.isOpen = false;
+    panel.hidden = true;
+    overlay.hidden = true;
+    panel.classList.remove('aberto');
+    this.trigger.setAttribute('aria-expanded', 'false');
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.trigger.focus();
+  }
+
+  /**
+   * Tratar teclado: Esc fecha e Tab fica preso no painel
+   * @param {KeyboardEvent} event - Evento de teclado
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    CartDrawer.trapFocus(this.elements.panel, event);
+  }
+
+  /**
+   * Manter a navegação por Tab dentro de um container
+   * @param {HTMLElement} container - Container com foco preso
+   * @param {KeyboardEvent} event - Evento de teclado
+   */
+  static trapFocus(container, event) {
+    if (event.key !== 'Tab') return;
+
+    const focusable = container.querySelectorAll(
+      'button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), a[href]'
+    );
+    if (focusable.length === 0) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Tratar cliques nos botões de cada item
+   * @param {Event} event - Evento de clique
+   */
+  handleItemAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, key } = button.dataset;
+    const item = this.cart.items.get(key);
+    if (!item) return;
+
+    switch (action) {
+      case 'increase':
+        this.cart.updateQuantity(key, item.quantity + 1);
+        break;
+      case 'decrease':
+        this.cart.updateQuantity(key, item.quantity - 1);
+        break;
+      case 'remove':
+        this.cart.removeItem(key);
+        break;
+    }
+
+    this.restoreFocus(action, key);
+  }
+
+  /**
+   * Tratar edição direta da quantidade
+   * @param {Event} event - Evento de alteração
+   */
+  handleQuantityInput(event) {
+    const input = event.target.closest('input[data-key]');
+    if (!input) return;
+
+    this.cart.updateQuantity(input.dataset.key, parseInt(input.value, 10) || 0);
+  }
+
+  /**
+   * Manter o foco no mesmo controle após nova renderização
+   * @param {string} action - Ação executada
+   * @param {string} key - Chave do item
+   */
+  restoreFocus(action, key) {
+    const target =
+      this.elements.list.querySelector(
+        `button[data-action="${action}"][data-key="${key}"]`
+      ) || this.elements.closeButton;
+    target.focus();
+  }
+
+  /**
+   * Renderizar itens, totais e estado vazio
+   */
+  render() {
+    const { list, empty, footer, total } = this.elements;
+    if (!list) return;
+
+    const items = this.cart.getItems();
+    const summary = this.pricing.getSummary();
+
+    list.innerHTML = '';
+    items.forEach((item) => list.appendChild(this.createItemElement(item)));
+
+    empty.hidden = items.length > 0;
+    footer.hidden = items.length === 0;
+    total.textContent = this.currencyService.format(summary.total);
+    this.renderCoupon(summary);
+  }
+
+  /**
+   * Renderizar cupom aplicado e linhas de subtotal e desconto
+   * @param {Object} summary - Resumo de PricingRules.getSummary
+   */
+  renderCoupon(summary) {
+    const { couponForm, couponApplied, discounts } = this.elements;
+    const { coupon } = summary;
+
+    couponForm.hidden = Boolean(coupon);
+    couponApplied.hidden = !coupon;
+    discounts.innerHTML = '';
+    if (!coupon) return;
+
+    couponApplied.innerHTML = `
+            <div class="carrinho-cupom-codigo">
+                <span>🏷️ <strong></strong></span>
+                <button type="button" data-action="remove-coupon">Remover</button>
+            </div>
+            <p></p>
+        `;
+
+    // Código, descrição e mensagem vêm do arquivo de cupons: só entram como texto
+    couponApplied.querySelector('strong').textContent = coupon.code;
+    couponApplied
+      .querySelector('[data-action="remove-coupon"]')
+      .setAttribute('aria-label', `Remover cupom ${coupon.code}`);
+
+    const status = couponApplied.querySelector('p');
+    status.textContent = summary.error || coupon.description || '';
+    if (summary.error) {
+      status.className = 'carrinho-cupom-erro';
+      status.setAttribute('role', 'alert');
+    }
+
+    const format = (value) => this.currencyService.format(value);
+    const rows = [`<dt>Subtotal</dt><dd>${format(summary.subtotal)}</dd>`];
+    if (summary.discount > 0) {
+      rows.push(`<dt>Desconto</dt><dd>− ${format(summary.discount)}</dd>`);
+    }
+    if (summary.freeShipping) {
+      rows.push('<dt>Frete</dt><dd>Grátis</dd>');
+    }
+    discounts.innerHTML = rows.join('');
+  }
+
+  /**
+   * Criar elemento HTML de um item do carrinho
+   * @param {Object} item - Item do carrinho
+   * @returns {HTMLElement} - Elemento do item
+   */
+  createItemElement(item) {
+    const li = document.createElement('li');
+    li.className = 'carrinho-item';
+
+    const unitPrice = this.currencyService.format(item.displayUnitPrice);
+    const lineTotal = this.currencyService.format(item.lineTotal);
+
+    // Nome e imagem vêm da fonte de dados: só entram como texto e atributos
+    const element = (tag, text, attributes = {}) => {
+      const node = document.createElement(tag);
+      if (text) node.textContent = text;
+      Object.entries(attributes).forEach(([name, value]) =>
+        node.setAttribute(name, value)
+      );
+      return node;
+    };
+
+    const quantity = element('div', '', { class: 'carrinho-quantidade' });
+    quantity.append(
+      element('button', '−', {
+        type: 'button',
+        'data-action': 'decrease',
+        'data-key': item.key,
+        'aria-label': `Diminuir quantidade de ${item.name}`,
+      }),
+      element('input', '', {
+        type: 'number',
+        min: 0,
+        max: this.cart.maxQuantity,
+        value: item.quantity,
+        'data-key': item.key,
+        'aria-label': `Quantidade de ${item.name}`,
+      }),
+      element('button', '+', {
+        type: 'button',
+        'data-action': 'increase',
+        'data-key': item.key,
+        'aria-label': `Aumentar quantidade de ${item.name}`,
+      })
+    );
+
+    const info = element('div', '', { class: 'carrinho-item-info' });
+    info.append(
+      element('h3', item.name),
+      element('span', `${unitPrice} cada`, {
+        class: 'carrinho-item-unitario',
+      }),
+      quantity
+    );
+
+    const actions = element('div', '', { class: 'carrinho-item-acoes' });
+    actions.append(
+      element('strong', lineTotal),
+      element('button', 'Remover', {
+        type: 'button',
+        class: 'carrinho-remover',
+        'data-action': 'remove',
+        'data-key': item.key,
+        'aria-label': `Remover ${item.name} do carrinho`,
+      })
+    );
+
+    li.append(
+      element('img', '', { src: item.image || '', alt: '', loading: 'lazy' }),
+      info,
+      actions
+    );
+
+    return li;
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CartStore,
+    CartDrawer,
+  };
+}
@@ -0,0 +1,229 @@
+// ========================================
+// GAMESTORE - FILTROS E ORDENAÇÃO DO CATÁLOGO
+// ========================================
+
+/**
+ * Motor de filtros e ordenação sobre os produtos normalizados
+ */
+class CatalogFilter {
+  /**
+   * @param {CurrencyService} currencyService - Serviço para comparar preços na moeda exibida
+   */
+  constructor(currencyService) {
+    this.currencyService = currencyService;
+
+    this.sortOptions = {
+      relevancia: {
+        label: 'Relevância',
+        compare: () => 0,
+      },
+      'preco-asc': {
+        label: 'Menor preço',
+        compare: (a, b) => this.getPrice(a) - this.getPrice(b),
+      },
+      'preco-desc': {
+        label: 'Maior preço',
+        compare: (a, b) => this.getPrice(b) - this.getPrice(a),
+      },
+      'avaliacao-desc': {
+        label: 'Melhor avaliação',
+        compare: (a, b) => this.getRating(b) - this.getRating(a),
+      },
+      'avaliacoes-desc': {
+        label: 'Mais avaliados',
+        compare: (a, b) => this.getRatingCount(b) - this.getRatingCount(a),
+      },
+      'titulo-asc': {
+        label: 'Título (A-Z)',
+        compare: (a, b) => a.title.localeCompare(b.title, 'pt-BR'),
+      },
+      'titulo-desc': {
+        label: 'Título (Z-A)',
+        compare: (a, b) => b.title.localeCompare(a.title, 'pt-BR'),
+      },
+    };
+  }
+
+  /**
+   * Estado inicial, sem filtros
+   * @returns {Object} - Estado dos filtros
+   */
+  static defaultState() {
+    return {
+      categories: [],
+      minPrice: null,
+      maxPrice: null,
+      minRating: 0,
+      sort: 'relevancia',
+    };
+  }
+
+  /**
+   * Verificar se algum filtro está ativo
+   * @param {Object} state - Estado dos filtros
+   * @returns {boolean} - Se há filtros diferentes do padrão
+   */
+  static hasActiveFilters(state) {
+    return (
+      state.categories.length > 0 ||
+      state.minPrice !== null ||
+      state.maxPrice !== null ||
+      state.minRating > 0
+    );
+  }
+
+  /**
+   * Calcular a fatia de produtos de uma página
+   * @param {Array} products - Produtos já filtrados e ordenados
+   * @param {number} page - Página desejada (a partir de 1)
+   * @param {number} pageSize - Produtos por página
+   * @returns {Object} - { items, page, totalPages, start, end }
+   */
+  static paginate(products, page, pageSize) {
+    const totalPages = Math.max(1, Math.ceil(products.length / pageSize));
+    const currentPage = Math.min(Math.max(1, Math.floor(page) || 1), totalPages);
+    const start = (currentPage - 1) * pageSize;
+    const end = Math.min(start + pageSize, products.length);
+
+    return {
+      items: products.slice(start, end),
+      page: currentPage,
+      totalPages,
+      start,
+      end,
+    };
+  }
+
+  /**
+   * Aplicar filtros e ordenação
+   * @param {Array} products - Produtos normalizados
+   * @param {Object} state - Estado dos filtros
+   * @returns {Array} - Produtos filtrados e ordenados
+   */
+  apply(products, state) {
+    const filtered = products.filter((product) =>
+      this.matches(product, state)
+    );
+    const sorter = this.sortOptions[state.sort] || this.sortOptions.relevancia;
+
+    // Array.prototype.sort é estável: empates mantêm a ordem original
+    return filtered.sort(sorter.compare);
+  }
+
+  /**
+   * Verificar se um produto atende aos filtros
+   * @param {Object} product - Produto normalizado
+   * @param {Object} state - Estado dos filtros
+   * @returns {boolean} - Se o produto deve ser exibido
+   */
+  matches(product, state) {
+    if (
+      state.categories.length > 0 &&
+      !state.categories.includes(product.category)
+    ) {
+      return false;
+    }
+
+    const price = this.getPrice(product);
+    if (state.minPrice !== null && price < state.minPrice) return false;
+    if (state.maxPrice !== null && price > state.maxPrice) return false;
+
+    return this.getRating(product) >= state.minRating;
+  }
+
+  /**
+   * Obter preço na moeda de exibição
+   * @param {Object} product - Produto normalizado
+   * @returns {number} - Preço convertido
+   */
+  getPrice(product) {
+    return this.currencyService.convert(product.price, product.currency);
+  }
+
+  /**
+   * Obter nota média do produto
+   * @param {Object} product - Produto normalizado
+   * @returns {number} - Nota de 0 a 5
+   */
+  getRating(product) {
+    return product.rating?.rate || 0;
+  }
+
+  /**
+   * Obter quantidade de avaliações do produto
+   * @param {Object} product - Produto normalizado
+   * @returns {number} - Quantidade de avaliações
+   */
+  getRatingCount(product) {
+    return product.rating?.count || 0;
+  }
+}
+
+/**
+ * Conversão entre o estado do catálogo e os parâmetros da URL
+ * (?categoria=...&ordem=...&preco_min=...&preco_max=...&avaliacao=...&busca=...&pagina=...)
+ */
+class CatalogUrlState {
+  /**
+   * Ler o estado do catálogo de uma query string
+   * @param {string} search - Query string (padrão: URL atual)
+   * @returns {Object} - { filters, page, query }
+   */
+  static parse(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const readNumber = (name) => {
+      const value = params.get(name);
+      if (value === null || value.trim() === '') return null;
+
+      const number = Number(value);
+      return Number.isFinite(number) && number >= 0 ? number : null;
+    };
+    const page = Number(params.get('pagina'));
+
+    return {
+      filters: {
+        ...CatalogFilter.defaultState(),
+        categories: params.getAll('categoria').filter(Boolean),
+        minPrice: readNumber('preco_min'),
+        maxPrice: readNumber('preco_max'),
+        minRating: readNumber('avaliacao') || 0,
+        sort: params.get('ordem') || 'relevancia',
+      },
+      page: Number.isInteger(page) && page > 0 ? page : 1,
+      query: params.get('busca')?.trim() || '',
+    };
+  }
+
+  /**
+   * Gerar URL com o estado do catálogo, omitindo valores padrão
+   * @param {string} href - URL de partida (outros parâmetros são mantidos)
+   * @param {Object} snapshot - { filters, page, query }
+   * @returns {URL} - Nova URL
+   */
+  static toUrl(href, { filters, page, query }) {
+    const url = new URL(href);
+    const params = url.searchParams;
+
+    ['categoria', 'ordem', 'preco_min', 'preco_max', 'avaliacao', 'busca', 'pagina'].forEach(
+      (name) => params.delete(name)
+    );
+
+    filters.categories.forEach((category) => params.append('categoria', category));
+    if (filters.sort !== 'relevancia') params.set('ordem', filters.sort);
+    if (filters.minPrice !== null) params.set('preco_min', filters.minPrice);
+    if (filters.maxPrice !== null) params.set('preco_max', filters.maxPrice);
+    if (filters.minRating > 0) params.set('avaliacao', filters.minRating);
+    if (query) params.set('busca', query);
+    if (page > 1) params.set('pagina', page);
+
+    return url;
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    CatalogFilter,
+    CatalogUrlState,
+  };
+}
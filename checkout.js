@@ -0,0 +1,968 @@
+// ========================================
+// GAMESTORE - CHECKOUT E PEDIDOS
+// ========================================
+
+/**
+ * Provedor de endereços pela API pública do ViaCEP
+ */
+class ViaCepAddressProvider {
+  constructor() {
+    this.baseUrl = 'https://viacep.com.br/ws';
+    this.apiManager = new ApiManager();
+  }
+
+  /**
+   * Buscar endereço pelo CEP
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Promise<Object|null>} - Endereço ou null se não existir
+   */
+  async lookup(cep) {
+    const data = await this.apiManager.makeRequest(
+      `${this.baseUrl}/${cep}/json/`
+    );
+
+    if (data.erro) return null;
+
+    return {
+      cep: data.cep,
+      street: data.logradouro,
+      neighborhood: data.bairro,
+      city: data.localidade,
+      state: data.uf,
+    };
+  }
+}
+
+/**
+ * Provedor de endereços simulado, utilizável sem conexão
+ */
+class MockAddressProvider {
+  constructor(latency = 300) {
+    this.latency = latency;
+
+    this.addresses = {
+      '01001000': {
+        street: 'Praça da Sé',
+        neighborhood: 'Sé',
+        city: 'São Paulo',
+        state: 'SP',
+      },
+      '20040020': {
+        street: 'Avenida Rio Branco',
+        neighborhood: 'Centro',
+        city: 'Rio de Janeiro',
+        state: 'RJ',
+      },
+      '30130010': {
+        street: 'Avenida Afonso Pena',
+        neighborhood: 'Centro',
+        city: 'Belo Horizonte',
+        state: 'MG',
+      },
+    };
+
+    // Região aproximada pelo primeiro dígito do CEP
+    this.regions = {
+      0: { city: 'São Paulo', state: 'SP' },
+      1: { city: 'Campinas', state: 'SP' },
+      2: { city: 'Rio de Janeiro', state: 'RJ' },
+      3: { city: 'Belo Horizonte', state: 'MG' },
+      4: { city: 'Salvador', state: 'BA' },
+      5: { city: 'Recife', state: 'PE' },
+      6: { city: 'Fortaleza', state: 'CE' },
+      7: { city: 'Brasília', state: 'DF' },
+      8: { city: 'Curitiba', state: 'PR' },
+      9: { city: 'Porto Alegre', state: 'RS' },
+    };
+  }
+
+  /**
+   * Buscar endereço pelo CEP
+   * @param {string} cep - CEP com 8 dígitos
+   * @returns {Promise<Object|null>} - Endereço ou null se não existir
+   */
+  async lookup(cep) {
+    await new Promise((resolve) => setTimeout(resolve, this.latency));
+
+    if (/^(\d)\1{7}$/.test(cep)) return null;
+
+    const formattedCep = `${cep.slice(0, 5)}-${cep.slice(5)}`;
+    const known = this.addresses[cep];
+
+    if (known) {
+      return { cep: formattedCep, ...known };
+    }
+
+    return {
+      cep: formattedCep,
+      street: '',
+      neighborhood: '',
+      ...this.regions[cep[0]],
+    };
+  }
+}
+
+/**
+ * Criar provedor de endereços pelo nome configurado
+ * Sem conexão, o provedor simulado é sempre usado
+ * @param {string} name - Nome do provedor ('viacep' ou 'mock')
+ * @returns {Object} - Provedor com método lookup(cep)
+ */
+function createAddressProvider(name) {
+  if (name === 'mock' || !navigator.onLine) {
+    return new MockAddressProvider();
+  }
+  return new ViaCepAddressProvider();
+}
+
+/**
+ * Histórico de pedidos persistido no localStorage
+ */
+class OrderHistory {
+  constructor() {
+    this.storageKey = 'gamestore_orders';
+    this.maxOrders = 50;
+  }
+
+  /**
+   * Obter todos os pedidos, do mais recente ao mais antigo
+   * @returns {Array} - Lista de pedidos
+   */
+  getAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || [];
+    } catch (error) {
+      console.warn('Não foi possível carregar o histórico de pedidos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Buscar pedido pelo ID
+   * @param {string} id - ID do pedido
+   * @returns {Object|undefined} - Pedido encontrado
+   */
+  findById(id) {
+    return this.getAll().find((order) => order.id === id);
+  }
+
+  /**
+   * Registrar novo pedido
+   * @param {Object} order - Pedido a ser salvo
+   */
+  add(order) {
+    const orders = [order, ...this.getAll()].slice(0, this.maxOrders);
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(orders));
+    } catch (error) {
+      console.warn('Não foi possível salvar o pedido:', error);
+    }
+  }
+
+  /**
+   * Gerar ID legível para um novo pedido
+   * @returns {string} - ID do pedido
+   */
+  static generateId() {
+    const timestamp = Date.now().toString(36).toUpperCase();
+    const random = Math.random().toString(36).slice(2, 6).toUpperCase();
+    return `GS-${timestamp}-${random}`;
+  }
+}
+
+/**
+ * Fluxo de checkout em etapas, exibido em uma janela modal
+ */
+class CheckoutFlow {
+  /**
+   * @param {GameStoreManager} app - Aplicação (carrinho, notificações e validação)
+   * @param {Object} options - Serviço de moeda, regras de cupons, provedor de endereços e histórico
+   */
+  constructor(app, options = {}) {
+    this.app = app;
+    this.cart = app.cart;
+    this.currencyService = options.currencyService;
+    this.pricing =
+      options.pricing || new PricingRules(app.cart, options.currencyService);
+    this.addressProvider =
+      options.addressProvider || createAddressProvider('viacep');
+    this.orderHistory = options.orderHistory || new OrderHistory();
+
+    this.steps = [
+      { id: 'carrinho', label: 'Carrinho' },
+      { id: 'cliente', label: 'Seus dados' },
+      { id: 'endereco', label: 'Entrega' },
+      { id: 'pagamento', label: 'Pagamento' },
+      { id: 'revisao', label: 'Revisão' },
+      { id: 'confirmacao', label: 'Confirmação' },
+    ];
+
+    this.shippingOptions = [
+      { id: 'pac', label: 'PAC', price: 19.9, deadline: '5 a 8 dias úteis' },
+      {
+        id: 'sedex',
+        label: 'SEDEX',
+        price: 34.9,
+        deadline: '1 a 3 dias úteis',
+      },
+      {
+        id: 'retirada',
+        label: 'Retirar na loja',
+        price: 0,
+        deadline: 'disponível em 1 dia útil',
+      },
+    ];
+
+    this.paymentMethods = [
+      { id: 'pix', label: 'Pix' },
+      { id: 'boleto', label: 'Boleto bancário' },
+      { id: 'cartao', label: 'Cartão de crédito' },
+    ];
+
+    this.currentStep = 0;
+    this.isOpen = false;
+    this.lastOrder = null;
+    this.elements = {};
+    this.resetData();
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Limpar dados preenchidos no checkout
+   */
+  resetData() {
+    this.data = {
+      customer: { name: '', email: '', phone: '' },
+      address: {
+        cep: '',
+        street: '',
+        number: '',
+        complement: '',
+        neighborhood: '',
+        city: '',
+        state: '',
+      },
+      shipping: 'pac',
+      payment: { method: 'pix', installments: 1 },
+    };
+  }
+
+  /**
+   * Criar a janela do checkout no documento
+   */
+  mount() {
+    const overlay = document.createElement('div');
+    overlay.className = 'checkout-overlay';
+    overlay.hidden = true;
+
+    const dialog = document.createElement('div');
+    dialog.id = 'checkout';
+    dialog.className = 'checkout';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-labelledby', 'checkout-titulo');
+    dialog.hidden = true;
+    dialog.innerHTML = `
+            <div class="checkout-cabecalho">
+                <h2 id="checkout-titulo">Finalizar Compra</h2>
+                <button type="button" class="checkout-fechar" aria-label="Fechar checkout">✕</button>
+            </div>
+            <ol class="checkout-etapas"></ol>
+            <form class="checkout-conteudo" novalidate></form>
+            <div class="checkout-navegacao">
+                <button type="button" class="checkout-voltar">Voltar</button>
+                <button type="button" class="checkout-avancar">Continuar</button>
+            </div>
+        `;
+
+    document.body.appendChild(overlay);
+    document.body.appendChild(dialog);
+
+    this.elements = {
+      overlay,
+      dialog,
+      steps: dialog.querySelector('.checkout-etapas'),
+      content: dialog.querySelector('.checkout-conteudo'),
+      backButton: dialog.querySelector('.checkout-voltar'),
+      nextButton: dialog.querySelector('.checkout-avancar'),
+    };
+
+    dialog
+      .querySelector('.checkout-fechar')
+      .addEventListener('click', () => this.close());
+    overlay.addEventListener('click', () => this.close());
+    this.elements.backButton.addEventListener('click', () => this.back());
+    this.elements.nextButton.addEventListener('click', () => this.next());
+    this.elements.content.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.next();
+    });
+    this.elements.content.addEventListener('change', (e) =>
+      this.handleContentChange(e)
+    );
+    this.elements.content.addEventListener('click', (e) => {
+      if (e.target.closest('.checkout-buscar-cep')) this.lookupAddress();
+    });
+
+    this.cart.subscribe(() => {
+      if (this.isOpen && this.getStepId() === 'carrinho') this.render();
+    });
+    this.pricing.subscribe(() => {
+      if (this.isOpen && this.getStepId() === 'carrinho') this.render();
+    });
+    this.currencyService.subscribe(() => {
+      if (this.isOpen) this.refresh();
+    });
+  }
+
+  /**
+   * Abrir o checkout na etapa de revisão do carrinho
+   */
+  open() {
+    if (this.cart.getItemCount() === 0) {
+      this.app.showNotification('⚠️ Seu carrinho está vazio!', 'warning');
+      return;
+    }
+
+    this.previousFocus = document.activeElement;
+    this.currentStep = 0;
+    this.isOpen = true;
+    this.elements.dialog.hidden = false;
+    this.elements.overlay.hidden = false;
+    document.addEventListener('keydown', this.handleKeydown);
+
+    this.render();
+  }
+
+  /**
+   * Fechar o checkout
+   */
+  close() {
+    this.isOpen = false;
+    this.elements.dialog.hidden = true;
+    this.elements.overlay.hidden = true;
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    if (this.getStepId() === 'confirmacao') {
+      this.currentStep = 0;
+    }
+
+    this.previousFocus?.focus();
+  }
+
+  /**
+   * Tratar teclado: Esc fecha e Tab fica preso na janela
+   * @param {KeyboardEvent} event - Evento de teclado
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    CartDrawer.trapFocus(this.elements.dialog, event);
+  }
+
+  /**
+   * Obter ID da etapa atual
+   * @returns {string} - ID da etapa
+   */
+  getStepId() {
+    return this.steps[this.currentStep].id;
+  }
+
+  /**
+   * Avançar para a próxima etapa após validar a atual
+   */
+  next() {
+    const stepId = this.getStepId();
+
+    if (stepId === 'confirmacao') {
+      this.close();
+      return;
+    }
+
+    if (!this.collectStep(stepId)) return;
+
+    if (stepId === 'revisao') {
+      this.placeOrder();
+    }
+
+    this.currentStep++;
+    this.render();
+  }
+
+  /**
+   * Voltar para a etapa anterior
+   */
+  back() {
+    if (this.currentStep === 0) {
+      this.close();
+      return;
+    }
+
+    this.collectStep(this.getStepId(), false);
+    this.currentStep--;
+    this.render();
+  }
+
+  /**
+   * Renderizar indicador de etapas, conteúdo e navegação
+   */
+  render() {
+    const { steps, content, backButton, nextButton } = this.elements;
+    const stepId = this.getStepId();
+
+    steps.innerHTML = this.steps
+      .map(
+        (step, index) => `
+            <li class="${index < this.currentStep ? 'concluida' : ''}" ${
+          index === this.currentStep ? 'aria-current="step"' : ''
+        }>${step.label}</li>`
+      )
+      .join('');
+
+    const renderers = {
+      carrinho: () => this.renderCartStep(),
+      cliente: () => this.renderCustomerStep(),
+      endereco: () => this.renderAddressStep(),
+      pagamento: () => this.renderPaymentStep(),
+      revisao: () => this.renderReviewStep(),
+      confirmacao: () => this.renderConfirmationStep(),
+    };
+
+    content.innerHTML = renderers[stepId]();
+
+    const nextLabels = {
+      carrinho: 'Continuar',
+      revisao: 'Confirmar pedido',
+      confirmacao: 'Fechar',
+    };
+    nextButton.textContent = nextLabels[stepId] || 'Continuar';
+    nextButton.disabled = stepId === 'carrinho' && this.cart.getItemCount() === 0;
+    backButton.textContent =
+      this.currentStep === 0 ? 'Continuar comprando' : 'Voltar';
+    backButton.hidden = stepId === 'confirmacao';
+
+    const heading = content.querySelector('h3');
+    if (heading) {
+      heading.setAttribute('tabindex', '-1');
+      heading.focus();
+    }
+  }
+
+  /**
+   * Renderizar novamente a etapa atual preservando o que foi digitado
+   */
+  refresh() {
+    this.collectStep(this.getStepId(), false);
+    this.render();
+  }
+
+  /**
+   * Etapa 1: revisão do carrinho
+   * @returns {string} - HTML da etapa
+   */
+  renderCartStep() {
+    const items = this.cart.getItems();
+
+    if (items.length === 0) {
+      return '<h3>Revise seu carrinho</h3><p>Seu carrinho está vazio.</p>';
+    }
+
+    return `
+            <h3>Revise seu carrinho</h3>
+            ${this.renderItemsSummary(items)}
+            ${this.renderTotals(false)}
+        `;
+  }
+
+  /**
+   * Etapa 2: dados do cliente
+   * @returns {string} - HTML da etapa
+   */
+  renderCustomerStep() {
+    const { name, email, phone } = this.data.customer;
+
+    return `
+            <h3>Seus dados</h3>
+            ${this.renderField('checkout-nome', 'Nome completo', name, { autocomplete: 'name' })}
+            ${this.renderField('checkout-email', 'Email', email, { type: 'email', autocomplete: 'email' })}
+            ${this.renderField('checkout-telefone', 'Telefone', phone, { type: 'tel', autocomplete: 'tel' })}
+        `;
+  }
+
+  /**
+   * Etapa 3: endereço de entrega e frete
+   * @returns {string} - HTML da etapa
+   */
+  renderAddressStep() {
+    const address = this.data.address;
+
+    const shippingOptions = this.shippingOptions
+      .map(
+        (option) => `
+                <label class="checkout-opcao">
+                    <input type="radio" name="frete" value="${option.id}" ${
+          this.data.shipping === option.id ? 'checked' : ''
+        }>
+                    <span>${option.label} — ${this.formatPrice(this.getShippingPrice(option))} (${option.deadline})</span>
+                </label>`
+      )
+      .join('');
+
+    return `
+            <h3>Endereço de entrega</h3>
+            <div class="checkout-cep">
+                ${this.renderField('checkout-cep', 'CEP', address.cep, { inputmode: 'numeric', autocomplete: 'postal-code', maxlength: '9' })}
+                <button type="button" class="checkout-buscar-cep">Buscar CEP</button>
+            </div>
+            ${this.renderField('checkout-rua', 'Rua', address.street, { autocomplete: 'address-line1' })}
+            ${this.renderField('checkout-numero', 'Número', address.number)}
+            ${this.renderField('checkout-complemento', 'Complemento (opcional)', address.complement)}
+            ${this.renderField('checkout-bairro', 'Bairro', address.neighborhood)}
+            ${this.renderField('checkout-cidade', 'Cidade', address.city, { autocomplete: 'address-level2' })}
+            ${this.renderField('checkout-uf', 'UF', address.state, { maxlength: '2', autocomplete: 'address-level1' })}
+            <fieldset class="checkout-grupo">
+                <legend>Forma de envio</legend>
+                ${shippingOptions}
+            </fieldset>
+        `;
+  }
+
+  /**
+   * Etapa 4: forma de pagamento
+   * @returns {string} - HTML da etapa
+   */
+  renderPaymentStep() {
+    const { method, installments } = this.data.payment;
+
+    const methods = this.paymentMethods
+      .map(
+        (option) => `
+                <label class="checkout-opcao">
+                    <input type="radio" name="pagamento" value="${option.id}" ${
+          method === option.id ? 'checked' : ''
+        }>
+                    <span>${option.label}</span>
+                </label>`
+      )
+      .join('');
+
+    const installmentOptions = [1, 2, 3, 4, 5, 6]
+      .map(
+        (value) =>
+          `<option value="${value}" ${
+            value === installments ? 'selected' : ''
+          }>${value}x de ${this.formatPrice(this.getTotal() / value)}</option>`
+      )
+      .join('');
+
+    return `
+            <h3>Forma de pagamento</h3>
+            <fieldset class="checkout-grupo">
+                <legend>Escolha como pagar</legend>
+                ${methods}
+            </fieldset>
+            <div class="campo checkout-parcelas" ${method === 'cartao' ? '' : 'hidden'}>
+                <label for="checkout-parcelas">Parcelas:</label>
+                <select id="checkout-parcelas">${installmentOptions}</select>
+            </div>
+        `;
+  }
+
+  /**
+   * Etapa 5: revisão final do pedido
+   * @returns {string} - HTML da etapa
+   */
+  renderReviewStep() {
+    const { customer, address, payment } = this.data;
+    const shipping = this.getShippingOption();
+    const paymentLabel = this.paymentMethods.find(
+      (option) => option.id === payment.method
+    ).label;
+    const installments =
+      payment.method === 'cartao' ? ` em ${payment.installments}x` : '';
+
+    return `
+            <h3>Revise seu pedido</h3>
+            ${this.renderItemsSummary(this.cart.getItems())}
+            <dl class="checkout-revisao">
+                <dt>Cliente</dt>
+                <dd>${this.escape(customer.name)} — ${this.escape(customer.email)} — ${this.escape(customer.phone)}</dd>
+                <dt>Entrega</dt>
+                <dd>${this.escape(this.formatAddress(address))}<br>${shipping.label} (${shipping.deadline})</dd>
+                <dt>Pagamento</dt>
+                <dd>${paymentLabel}${installments}</dd>
+            </dl>
+            ${this.renderTotals(true)}
+        `;
+  }
+
+  /**
+   * Etapa 6: confirmação do pedido
+   * @returns {string} - HTML da etapa
+   */
+  renderConfirmationStep() {
+    const order = this.lastOrder;
+
+    return `
+            <h3>✅ Pedido confirmado!</h3>
+            <p>Obrigado, ${this.escape(order.customer.name)}! Seu pedido foi registrado.</p>
+            <p class="checkout-pedido-id">Número do pedido: <strong>${order.id}</strong></p>
+            <p>Total: <strong>${this.formatPrice(order.total)}</strong></p>
+            <p>Enviaremos as atualizações para ${this.escape(order.customer.email)}.</p>
+        `;
+  }
+
+  /**
+   * Renderizar lista resumida de itens
+   * @param {Array} items - Itens do carrinho
+   * @returns {string} - HTML da lista
+   */
+  renderItemsSummary(items) {
+    const rows = items
+      .map(
+        (item) => `
+                <li>
+                    <span>${item.quantity}x ${this.escape(item.name)}</span>
+                    <strong>${this.formatPrice(item.lineTotal)}</strong>
+                </li>`
+      )
+      .join('');
+
+    return `<ul class="checkout-itens">${rows}</ul>`;
+  }
+
+  /**
+   * Renderizar subtotal, desconto do cupom, frete e total
+   * @param {boolean} includeShipping - Se o frete já foi escolhido
+   * @returns {string} - HTML dos totais
+   */
+  renderTotals(includeShipping) {
+    const summary = this.pricing.getSummary();
+    const discountRow =
+      summary.discount > 0
+        ? `<dt>Desconto (${summary.coupon.code})</dt><dd>− ${this.formatPrice(summary.discount)}</dd>`
+        : '';
+    const shippingRow = includeShipping
+      ? `<dt>Frete${summary.freeShipping ? ` (${summary.coupon.code})` : ''}</dt><dd>${this.formatPrice(this.getShippingPrice())}</dd>`
+      : '';
+    const total = includeShipping ? this.getTotal() : summary.total;
+
+    return `
+            <dl class="checkout-totais">
+                <dt>Subtotal</dt><dd>${this.formatPrice(summary.subtotal)}</dd>
+                ${discountRow}
+                ${shippingRow}
+                <dt>Total</dt><dd><strong>${this.formatPrice(total)}</strong></dd>
+            </dl>
+        `;
+  }
+
+  /**
+   * Renderizar campo de formulário no padrão do formulário de contato
+   * @param {string} id - ID do campo
+   * @param {string} label - Rótulo do campo
+   * @param {string} value - Valor atual
+   * @param {Object} attributes - Atributos adicionais do input
+   * @returns {string} - HTML do campo
+   */
+  renderField(id, label, value, attributes = {}) {
+    const extra = Object.entries({ type: 'text', ...attributes })
+      .map(([key, attrValue]) => `${key}="${attrValue}"`)
+      .join(' ');
+
+    return `
+            <div class="campo">
+                <label for="${id}">${label}:</label>
+                <input id="${id}" ${extra} value="${this.escape(value)}">
+            </div>
+        `;
+  }
+
+  /**
+   * Reagir a alterações nos campos da etapa atual
+   * @param {Event} event - Evento de alteração
+   */
+  handleContentChange(event) {
+    const { target } = event;
+
+    if (target.name === 'pagamento') {
+      const installments = this.elements.content.querySelector(
+        '.checkout-parcelas'
+      );
+      installments.hidden = target.value !== 'cartao';
+    }
+
+    if (target.id === 'checkout-cep') {
+      const cep = target.value.replace(/\D/g, '');
+      if (cep.length === 8 && cep !== this.data.address.cep.replace(/\D/g, '')) {
+        this.lookupAddress();
+      }
+    }
+  }
+
+  /**
+   * Buscar endereço do CEP informado e preencher os campos
+   */
+  async lookupAddress() {
+    const cepField = document.getElementById('checkout-cep');
+    const cep = cepField.value.replace(/\D/g, '');
+
+    if (cep.length !== 8) {
+      this.app.showFieldError(cepField, 'CEP deve ter 8 dígitos');
+      return;
+    }
+
+    this.app.clearFieldError(cepField);
+
+    try {
+      const address = await this.addressProvider.lookup(cep);
+
+      if (!address) {
+        this.app.showFieldError(cepField, 'CEP não encontrado');
+        return;
+      }
+
+      const fields = {
+        'checkout-cep': address.cep,
+        'checkout-rua': address.street,
+        'checkout-bairro': address.neighborhood,
+        'checkout-cidade': address.city,
+        'checkout-uf': address.state,
+      };
+
+      Object.entries(fields).forEach(([id, value]) => {
+        const field = document.getElementById(id);
+        if (field && value) {
+          field.value = value;
+          this.app.clearFieldError(field);
+        }
+      });
+
+      this.data.address.cep = address.cep;
+      document.getElementById('checkout-numero')?.focus();
+    } catch (error) {
+      console.error('Erro ao consultar CEP:', error);
+      this.app.showNotification(
+        '⚠️ Não foi possível consultar o CEP. Preencha o endereço manualmente.',
+        'warning'
+      );
+    }
+  }
+
+  /**
+   * Coletar e validar os dados da etapa
+   * @param {string} stepId - ID da etapa
+   * @param {boolean} validate - Se deve validar os campos
+   * @returns {boolean} - Se os dados são válidos
+   */
+  collectStep(stepId, validate = true) {
+    const value = (id) => document.getElementById(id)?.value.trim() || '';
+
+    switch (stepId) {
+      case 'cliente':
+        this.data.customer = {
+          name: value('checkout-nome'),
+          email: value('checkout-email'),
+          phone: value('checkout-telefone'),
+        };
+        return !validate || this.validateFields(this.getCustomerRules());
+      case 'endereco':
+        this.data.address = {
+          cep: value('checkout-cep'),
+          street: value('checkout-rua'),
+          number: value('checkout-numero'),
+          complement: value('checkout-complemento'),
+          neighborhood: value('checkout-bairro'),
+          city: value('checkout-cidade'),
+          state: value('checkout-uf').toUpperCase(),
+        };
+        this.data.shipping =
+          this.elements.content.querySelector('input[name="frete"]:checked')
+            ?.value || this.data.shipping;
+        return !validate || this.validateFields(this.getAddressRules());
+      case 'pagamento':
+        this.data.payment = {
+          method:
+            this.elements.content.querySelector(
+              'input[name="pagamento"]:checked'
+            )?.value || this.data.payment.method,
+          installments: parseInt(value('checkout-parcelas'), 10) || 1,
+        };
+        return true;
+      case 'carrinho':
+        return this.cart.getItemCount() > 0;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Regras de validação dos dados do cliente
+   * @returns {Array} - Pares [id, validador, mensagem]
+   */
+  getCustomerRules() {
+    return [
+      ['checkout-nome', (v) => v.length >= 2, 'Mínimo 2 caracteres'],
+      ['checkout-email', (v) => this.app.isValidEmail(v), 'Email inválido'],
+      [
+        'checkout-telefone',
+        (v) => /^\d{10,11}$/.test(v.replace(/\D/g, '')),
+        'Telefone com DDD inválido',
+      ],
+    ];
+  }
+
+  /**
+   * Regras de validação do endereço
+   * @returns {Array} - Pares [id, validador, mensagem]
+   */
+  getAddressRules() {
+    const required = (v) => v.length > 0;
+
+    return [
+      [
+        'checkout-cep',
+        (v) => v.replace(/\D/g, '').length === 8,
+        'CEP deve ter 8 dígitos',
+      ],
+      ['checkout-rua', required, 'Informe a rua'],
+      ['checkout-numero', required, 'Informe o número'],
+      ['checkout-bairro', required, 'Informe o bairro'],
+      ['checkout-cidade', required, 'Informe a cidade'],
+      ['checkout-uf', (v) => /^[A-Za-z]{2}$/.test(v), 'UF inválida'],
+    ];
+  }
+
+  /**
+   * Validar campos exibindo erros ao lado de cada um
+   * @param {Array} rules - Regras [id, validador, mensagem]
+   * @returns {boolean} - Se todos os campos são válidos
+   */
+  validateFields(rules) {
+    let firstInvalid = null;
+
+    rules.forEach(([id, isValid, message]) => {
+      const field = document.getElementById(id);
+      if (!field) return;
+
+      this.app.clearFieldError(field);
+      if (!isValid(field.value.trim())) {
+        this.app.showFieldError(field, message);
+        firstInvalid = firstInvalid || field;
+      }
+    });
+
+    if (firstInvalid) {
+      firstInvalid.focus();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Registrar o pedido no histórico e esvaziar o carrinho
+   */
+  placeOrder() {
+    const shipping = this.getShippingOption();
+    const summary = this.pricing.getSummary();
+
+    const order = {
+      id: OrderHistory.generateId(),
+      createdAt: new Date().toISOString(),
+      status: 'confirmado',
+      customer: { ...this.data.customer },
+      address: { ...this.data.address },
+      shipping: { ...shipping },
+      payment: { ...this.data.payment },
+      items: this.cart.getItems(),
+      currency: this.currencyService.getDisplayCurrency(),
+      subtotal: summary.subtotal,
+      coupon: summary.discount > 0 || summary.freeShipping ? summary.coupon.code : null,
+      discount: summary.discount,
+      shippingCost: this.getShippingPrice(shipping),
+      total: this.getTotal(),
+    };
+
+    this.orderHistory.add(order);
+    this.lastOrder = order;
+    this.cart.clear();
+    this.pricing.removeCoupon();
+    this.resetData();
+  }
+
+  /**
+   * Obter opção de frete selecionada
+   * @returns {Object} - Opção de frete
+   */
+  getShippingOption() {
+    return (
+      this.shippingOptions.find((option) => option.id === this.data.shipping) ||
+      this.shippingOptions[0]
+    );
+  }
+
+  /**
+   * Obter valor do frete na moeda de exibição (zero com cupom de frete grátis)
+   * @param {Object} option - Opção de frete (preço em reais)
+   * @returns {number} - Valor convertido
+   */
+  getShippingPrice(option = this.getShippingOption()) {
+    if (this.pricing.getSummary().freeShipping) return 0;
+    return this.currencyService.convert(option.price, 'BRL');
+  }
+
+  /**
+   * Calcular total com desconto e frete
+   * @returns {number} - Total do pedido
+   */
+  getTotal() {
+    return this.pricing.getSummary().total + this.getShippingPrice();
+  }
+
+  /**
+   * Formatar endereço em uma linha
+   * @param {Object} address - Endereço
+   * @returns {string} - Endereço formatado
+   */
+  formatAddress(address) {
+    const complement = address.complement ? ` (${address.complement})` : '';
+    return `${address.street}, ${address.number}${complement} - ${address.neighborhood}, ${address.city}/${address.state} - CEP ${address.cep}`;
+  }
+
+  /**
+   * Formatar valor em moeda
+   * @param {number} value - Valor
+   * @returns {string} - Valor formatado
+   */
+  formatPrice(value) {
+    return this.currencyService.format(value);
+  }
+
+  /**
+   * Escapar texto digitado pelo usuário antes de inserir no HTML
+   * @param {string} text - Texto original
+   * @returns {string} - Texto seguro para HTML
+   */
+  escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text || '';
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ViaCepAddressProvider,
+    MockAddressProvider,
+    OrderHistory,
+    CheckoutFlow,
+    createAddressProvider,
+  };
+}
@@ -0,0 +1,408 @@
+// ========================================
+// GAMESTORE - COMPARAÇÃO DE PRODUTOS
+// ========================================
+
+/**
+ * Seleção de produtos para comparação, persistida no localStorage
+ * Implementa padrão Singleton para que cards e tabela compartilhem a seleção
+ */
+class ComparisonStore {
+  constructor() {
+    if (ComparisonStore.instance) {
+      return ComparisonStore.instance;
+    }
+
+    this.storageKey = 'gamestore_comparison';
+    this.maxItems = 4;
+
+    // Guarda uma cópia do produto para montar a tabela em qualquer página
+    this.items = new Map();
+    this.listeners = new Set();
+
+    this.load();
+
+    ComparisonStore.instance = this;
+  }
+
+  /**
+   * Carregar seleção do localStorage
+   */
+  load() {
+    try {
+      const items = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!Array.isArray(items)) return;
+
+      this.items = new Map(
+        items.slice(0, this.maxItems).map((item) => [item.key, item])
+      );
+    } catch (error) {
+      console.warn('Não foi possível carregar a comparação:', error);
+    }
+  }
+
+  /**
+   * Salvar seleção no localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        this.storageKey,
+        JSON.stringify(Array.from(this.items.values()))
+      );
+    } catch (error) {
+      console.warn('Não foi possível salvar a comparação:', error);
+    }
+  }
+
+  /**
+   * Verificar se um produto está selecionado
+   * @param {string} key - Chave do produto
+   * @returns {boolean} - Se o produto está na comparação
+   */
+  has(key) {
+    return this.items.has(key);
+  }
+
+  /**
+   * Verificar se o limite de produtos foi atingido
+   * @returns {boolean} - Se não cabem mais produtos
+   */
+  isFull() {
+    return this.items.size >= this.maxItems;
+  }
+
+  /**
+   * Adicionar produto à comparação
+   * @param {Object} product - Produto normalizado
+   * @returns {boolean} - Se o produto foi adicionado (falso quando cheio)
+   */
+  add(product) {
+    if (this.has(product.key)) return true;
+    if (this.isFull()) return false;
+
+    this.items.set(product.key, { ...product });
+    this.commit();
+    return true;
+  }
+
+  /**
+   * Remover produto da comparação
+   * @param {string} key - Chave do produto
+   */
+  remove(key) {
+    if (this.items.delete(key)) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Remover todos os produtos da comparação
+   */
+  clear() {
+    this.items.clear();
+    this.commit();
+  }
+
+  /**
+   * Obter produtos selecionados na ordem em que foram marcados
+   * @returns {Array} - Produtos selecionados
+   */
+  getItems() {
+    return Array.from(this.items.values());
+  }
+
+  /**
+   * Registrar função chamada a cada alteração da seleção
+   * @param {Function} listener - Função que recebe a seleção
+   * @returns {Function} - Função para cancelar o registro
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persistir e notificar alterações
+   */
+  commit() {
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Notificar ouvintes registrados
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+/**
+ * Barra de produtos selecionados e tabela de comparação lado a lado
+ */
+class ComparisonView {
+  /**
+   * @param {ComparisonStore} comparison - Seleção de produtos
+   * @param {ProductRenderer} productRenderer - Renderizador (preços e avaliações)
+   */
+  constructor(comparison, productRenderer) {
+    this.comparison = comparison;
+    this.productRenderer = productRenderer;
+    this.onlyDifferences = false;
+    this.isOpen = false;
+    this.elements = {};
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Criar barra e diálogo no documento e vincular eventos
+   */
+  mount() {
+    const bar = document.createElement('div');
+    bar.id = 'barra-comparacao';
+    bar.className = 'barra-comparacao';
+    bar.setAttribute('role', 'region');
+    bar.setAttribute('aria-label', 'Produtos para comparar');
+    bar.innerHTML = `
+            <span class="comparacao-contagem" aria-live="polite"></span>
+            <div class="comparacao-botoes">
+                <button type="button" class="btn-comparar" aria-haspopup="dialog">Comparar</button>
+                <button type="button" class="btn-limpar-comparacao">Limpar</button>
+            </div>
+        `;
+
+    const dialog = document.createElement('div');
+    dialog.className = 'comparacao-overlay';
+    dialog.hidden = true;
+    dialog.innerHTML = `
+            <div class="comparacao-dialogo" role="dialog" aria-modal="true" aria-labelledby="comparacao-titulo">
+                <div class="comparacao-cabecalho">
+                    <h2 id="comparacao-titulo">Comparar produtos</h2>
+                    <label class="comparacao-filtro">
+                        <input type="checkbox" class="comparacao-diferencas">
+                        Mostrar apenas diferenças
+                    </label>
+                    <button type="button" class="comparacao-fechar" aria-label="Fechar comparação">✕</button>
+                </div>
+                <div class="comparacao-tabela"></div>
+            </div>
+        `;
+
+    document.body.appendChild(bar);
+    document.body.appendChild(dialog);
+
+    this.elements = {
+      bar,
+      dialog,
+      panel: dialog.querySelector('.comparacao-dialogo'),
+      count: bar.querySelector('.comparacao-contagem'),
+      compareButton: bar.querySelector('.btn-comparar'),
+      table: dialog.querySelector('.comparacao-tabela'),
+      closeButton: dialog.querySelector('.comparacao-fechar'),
+    };
+
+    this.elements.compareButton.addEventListener('click', () => this.open());
+    bar
+      .querySelector('.btn-limpar-comparacao')
+      .addEventListener('click', () => this.comparison.clear());
+    this.elements.closeButton.addEventListener('click', () => this.close());
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) this.close();
+    });
+    dialog
+      .querySelector('.comparacao-diferencas')
+      .addEventListener('change', (e) => {
+        this.onlyDifferences = e.target.checked;
+        this.renderTable();
+      });
+    this.elements.table.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-remove]');
+      if (button) this.comparison.remove(button.dataset.remove);
+    });
+
+    this.comparison.subscribe(() => this.render());
+    this.productRenderer.currencyService.subscribe(() => this.renderTable());
+    this.render();
+  }
+
+  /**
+   * Abrir a tabela de comparação
+   */
+  open() {
+    if (this.comparison.getItems().length < 2) return;
+
+    this.isOpen = true;
+    this.elements.dialog.hidden = false;
+    this.renderTable();
+
+    document.addEventListener('keydown', this.handleKeydown);
+    this.elements.closeButton.focus();
+  }
+
+  /**
+   * Fechar a tabela e devolver o foco à barra
+   */
+  close() {
+    this.isOpen = false;
+    this.elements.dialog.hidden = true;
+
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.elements.compareButton.focus();
+  }
+
+  /**
+   * Tratar teclado: Esc fecha e Tab fica preso no diálogo
+   * @param {KeyboardEvent} event - Evento de teclado
+   */
+  handleKeydown(event) {
+    if (event.key === 'Escape') {
+      this.close();
+      return;
+    }
+
+    CartDrawer.trapFocus(this.elements.panel, event);
+  }
+
+  /**
+   * Atualizar barra e tabela conforme a seleção
+   */
+  render() {
+    const items = this.comparison.getItems();
+    const { bar, count, compareButton } = this.elements;
+
+    bar.hidden = items.length === 0;
+    count.textContent = `${items.length} de ${this.comparison.maxItems} produtos para comparar`;
+    compareButton.disabled = items.length < 2;
+    compareButton.title =
+      items.length < 2 ? 'Selecione pelo menos 2 produtos' : '';
+
+    if (this.isOpen) {
+      if (items.length < 2) {
+        this.close();
+      } else {
+        this.renderTable();
+      }
+    }
+  }
+
+  /**
+   * Montar linhas da comparação (atributos de jogos locais só quando houver algum)
+   * @param {Array} items - Produtos selecionados
+   * @returns {Array} - Linhas { label, values }
+   */
+  getRows(items) {
+    const renderer = this.productRenderer;
+    const rows = [
+      { label: 'Preço', values: items.map((item) => renderer.formatPrice(item)) },
+      {
+        label: 'Avaliação',
+        values: items.map((item) =>
+          item.rating ? `${item.rating.rate.toFixed(1)} de 5` : '—'
+        ),
+      },
+      {
+        label: 'Nº de avaliações',
+        values: items.map((item) =>
+          item.rating?.count ? String(item.rating.count) : '—'
+        ),
+      },
+      {
+        label: 'Categoria',
+        values: items.map((item) =>
+          ProductRepository.getCategoryLabel(item.category)
+        ),
+      },
+      { label: 'Descrição', values: items.map((item) => item.description) },
+    ];
+
+    if (items.some((item) => item.metadata)) {
+      const metadataRow = (label, read) => ({
+        label,
+        values: items.map((item) => (item.metadata ? read(item) : '—')),
+      });
+
+      rows.push(
+        metadataRow('Gênero', (item) => item.metadata.genre),
+        metadataRow('Modo', (item) => item.metadata.mode),
+        metadataRow('Tamanho', (item) => item.metadata.size),
+        metadataRow('Plataformas', (item) => item.platforms.join(', ')),
+        metadataRow('Características', (item) => item.metadata.features.join(', '))
+      );
+    }
+
+    return rows;
+  }
+
+  /**
+   * Renderizar a tabela, destacando linhas com valores diferentes
+   */
+  renderTable() {
+    const items = this.comparison.getItems();
+    const { table } = this.elements;
+    if (!this.isOpen || !table) return;
+
+    const rows = this.getRows(items)
+      .map((row) => ({ ...row, differs: new Set(row.values).size > 1 }))
+      .filter((row) => !this.onlyDifferences || row.differs);
+
+    // Título, imagem e descrição vêm da fonte de dados: só entram como texto
+    const cell = (tag, text, attributes = {}) => {
+      const element = document.createElement(tag);
+      element.textContent = text;
+      Object.entries(attributes).forEach(([name, value]) =>
+        element.setAttribute(name, value)
+      );
+      return element;
+    };
+
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(document.createElement('td'));
+    items.forEach((item) => {
+      const th = cell('th', '', { scope: 'col' });
+      th.append(
+        cell('img', '', { src: item.image || '', alt: '', loading: 'lazy' }),
+        cell('span', item.title),
+        cell('button', 'Remover', {
+          type: 'button',
+          class: 'comparacao-remover',
+          'data-remove': item.key,
+          'aria-label': `Remover ${item.title} da comparação`,
+        })
+      );
+      headerRow.appendChild(th);
+    });
+
+    const body = document.createElement('tbody');
+    rows.forEach((row) => {
+      const tr = document.createElement('tr');
+      if (row.differs) tr.className = 'comparacao-diferente';
+      tr.appendChild(cell('th', row.label, { scope: 'row' }));
+      row.values.forEach((value) => tr.appendChild(cell('td', value)));
+      body.appendChild(tr);
+    });
+
+    const head = document.createElement('thead');
+    head.appendChild(headerRow);
+
+    const comparisonTable = document.createElement('table');
+    comparisonTable.append(
+      cell(
+        'caption',
+        'Comparação lado a lado; linhas destacadas têm valores diferentes',
+        { class: 'sr-only' }
+      ),
+      head,
+      body
+    );
+    table.replaceChildren(comparisonTable);
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ComparisonStore,
+    ComparisonView,
+  };
+}
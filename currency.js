@@ -0,0 +1,293 @@
+// ========================================
+// GAMESTORE - MOEDAS E COTAÇÕES
+// ========================================
+
+/**
+ * Provedor de cotações a partir de uma tabela fixa
+ */
+class StaticRateProvider {
+  /**
+   * @param {Object} rates - Cotações relativas à moeda base
+   * @param {string} base - Moeda base da tabela
+   */
+  constructor(rates, base = 'USD') {
+    this.rates = rates;
+    this.base = base;
+  }
+
+  /**
+   * Obter cotações
+   * @returns {Promise<Object>} - { base, rates, updatedAt }
+   */
+  async getRates() {
+    return { base: this.base, rates: { ...this.rates }, updatedAt: null };
+  }
+}
+
+/**
+ * Provedor de cotações a partir de um arquivo JSON
+ */
+class JsonFileRateProvider {
+  /**
+   * @param {string} url - Caminho do arquivo ({ base, rates, updatedAt })
+   */
+  constructor(url = 'data/cotacoes.json') {
+    this.url = url;
+  }
+
+  /**
+   * Obter cotações
+   * @returns {Promise<Object>} - { base, rates, updatedAt }
+   */
+  async getRates() {
+    const response = await fetch(this.url);
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    if (!data.base || !data.rates) {
+      throw new Error('Arquivo de cotações inválido');
+    }
+
+    return data;
+  }
+}
+
+/**
+ * Serviço de conversão e formatação de preços na moeda escolhida
+ * Implementa padrão Singleton para compartilhar a moeda entre scripts
+ */
+class CurrencyService {
+  constructor() {
+    if (CurrencyService.instance) {
+      return CurrencyService.instance;
+    }
+
+    this.currencies = {
+      BRL: 'Real (R$)',
+      USD: 'Dólar (US$)',
+      EUR: 'Euro (€)',
+    };
+
+    this.storageKey = 'gamestore_currency';
+    this.ratesCacheKey = 'gamestore_exchange_rates';
+    this.maxAge = 12 * 60 * 60 * 1000; // 12 horas
+
+    // Tabela usada até a primeira cotação ser carregada
+    this.fallbackProvider = new StaticRateProvider({
+      USD: 1,
+      BRL: 5.5,
+      EUR: 0.92,
+    });
+    this.provider = new JsonFileRateProvider();
+
+    this.exchangeRates = {
+      base: this.fallbackProvider.base,
+      rates: { ...this.fallbackProvider.rates },
+      fetchedAt: null,
+      source: 'padrão',
+    };
+    this.displayCurrency = 'BRL';
+    this.formatters = new Map();
+    this.listeners = new Set();
+
+    this.loadCachedRates();
+    this.loadCurrencyPreference();
+
+    CurrencyService.instance = this;
+  }
+
+  /**
+   * Trocar a fonte de cotações
+   * @param {Object} provider - Objeto com método getRates()
+   * @returns {Promise<boolean>} - Se as novas cotações foram carregadas
+   */
+  setProvider(provider) {
+    this.provider = provider;
+    return this.refreshRates(true);
+  }
+
+  /**
+   * Atualizar cotações quando o cache estiver desatualizado
+   * @param {boolean} force - Ignorar o cache
+   * @returns {Promise<boolean>} - Se as cotações foram atualizadas
+   */
+  async refreshRates(force = false) {
+    if (!force && !this.isStale()) return false;
+
+    try {
+      const { base, rates, updatedAt } = await this.provider.getRates();
+
+      this.exchangeRates = {
+        base,
+        rates,
+        updatedAt: updatedAt || null,
+        fetchedAt: Date.now(),
+        source: this.provider.name || this.provider.constructor.name,
+      };
+      this.saveCachedRates();
+      this.notify();
+      return true;
+    } catch (error) {
+      console.warn('Não foi possível atualizar as cotações:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Verificar se as cotações passaram da idade máxima
+   * @returns {boolean} - Se as cotações estão desatualizadas
+   */
+  isStale() {
+    const { fetchedAt } = this.exchangeRates;
+    return !fetchedAt || Date.now() - fetchedAt > this.maxAge;
+  }
+
+  /**
+   * Obter informações sobre as cotações em uso
+   * @returns {Object} - Cotações, origem, data de obtenção e se estão desatualizadas
+   */
+  getRatesInfo() {
+    return { ...this.exchangeRates, isStale: this.isStale() };
+  }
+
+  /**
+   * Converter valor entre moedas
+   * @param {number} amount - Valor original
+   * @param {string} from - Moeda do valor
+   * @param {string} to - Moeda de destino (padrão: moeda de exibição)
+   * @returns {number} - Valor convertido
+   */
+  convert(amount, from, to = this.displayCurrency) {
+    if (from === to) return amount;
+
+    const { rates } = this.exchangeRates;
+    if (!rates[from] || !rates[to]) {
+      console.warn(`Cotação indisponível para ${from} → ${to}`);
+      return amount;
+    }
+
+    return (amount / rates[from]) * rates[to];
+  }
+
+  /**
+   * Formatar valor na moeda de exibição
+   * @param {number} amount - Valor original
+   * @param {string} from - Moeda do valor (padrão: moeda de exibição)
+   * @returns {string} - Valor formatado
+   */
+  format(amount, from = this.displayCurrency) {
+    const currency = this.displayCurrency;
+
+    if (!this.formatters.has(currency)) {
+      this.formatters.set(
+        currency,
+        new Intl.NumberFormat('pt-BR', { style: 'currency', currency })
+      );
+    }
+
+    return this.formatters.get(currency).format(this.convert(amount, from));
+  }
+
+  /**
+   * Obter moeda de exibição atual
+   * @returns {string} - Código da moeda
+   */
+  getDisplayCurrency() {
+    return this.displayCurrency;
+  }
+
+  /**
+   * Alterar moeda de exibição
+   * @param {string} currency - Código da moeda (BRL, USD ou EUR)
+   */
+  setDisplayCurrency(currency) {
+    if (!this.currencies[currency] || currency === this.displayCurrency) return;
+
+    this.displayCurrency = currency;
+    this.saveCurrencyPreference();
+    this.notify();
+  }
+
+  /**
+   * Salvar preferência de moeda
+   */
+  saveCurrencyPreference() {
+    try {
+      localStorage.setItem(this.storageKey, this.displayCurrency);
+    } catch (error) {
+      console.warn('Não foi possível salvar preferência de moeda:', error);
+    }
+  }
+
+  /**
+   * Carregar preferência de moeda
+   */
+  loadCurrencyPreference() {
+    try {
+      const savedCurrency = localStorage.getItem(this.storageKey);
+      if (this.currencies[savedCurrency]) {
+        this.displayCurrency = savedCurrency;
+      }
+    } catch (error) {
+      console.warn('Não foi possível carregar preferência de moeda:', error);
+    }
+  }
+
+  /**
+   * Salvar cotações no cache local
+   */
+  saveCachedRates() {
+    try {
+      localStorage.setItem(
+        this.ratesCacheKey,
+        JSON.stringify(this.exchangeRates)
+      );
+    } catch (error) {
+      console.warn('Não foi possível salvar as cotações:', error);
+    }
+  }
+
+  /**
+   * Carregar cotações do cache local
+   */
+  loadCachedRates() {
+    try {
+      const cached = JSON.parse(localStorage.getItem(this.ratesCacheKey));
+      if (cached?.rates) {
+        this.exchangeRates = cached;
+      }
+    } catch (error) {
+      console.warn('Não foi possível carregar as cotações salvas:', error);
+    }
+  }
+
+  /**
+   * Registrar função chamada quando moeda ou cotações mudarem
+   * @param {Function} listener - Função que recebe o serviço
+   * @returns {Function} - Função para cancelar o registro
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Notificar ouvintes registrados
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    StaticRateProvider,
+    JsonFileRateProvider,
+    CurrencyService,
+  };
+}
@@ -0,0 +1,837 @@
+// ========================================
+// GAMESTORE - FONTES DE DADOS
+// ========================================
+
+/*
+ * Toda fonte de dados entrega produtos e usuários no mesmo formato usado
+ * pelo restante da loja:
+ *   produto - { id, title, price, currency?, description, category, image, rating: { rate, count } }
+ *   usuário - { name: { first, last }, location: { city, country }, picture: { medium } }
+ *
+ * Métodos de uma fonte (todos aceitam { signal } para cancelamento):
+ *   getProducts({ limit })         getProduct(id)
+ *   getProductsByCategory(category) getCategories()
+ *   getUsers(count)                readProducts(response)
+ *   ownsUrl(url) - se uma resposta guardada no cache veio desta fonte
+ *
+ * As requisições passam pela função `request` do ApiManager, que aplica
+ * cache, novas tentativas e deduplicação.
+ */
+
+/**
+ * Fonte de dados da Fake Store API (produtos) e da Random User API (usuários)
+ */
+class FakeStoreDataSource {
+  /**
+   * @param {Function} request - Função (url, options) => Promise com os dados
+   * @param {Object} options - URLs das APIs
+   */
+  constructor(
+    request,
+    {
+      productsUrl = 'https://fakestoreapi.com/products',
+      usersUrl = 'https://randomuser.me/api',
+    } = {}
+  ) {
+    this.request = request;
+    this.productsUrl = productsUrl;
+    this.usersUrl = usersUrl;
+  }
+
+  /**
+   * Buscar produtos
+   * @param {Object} options - { limit, signal }; sem limite traz o catálogo todo
+   * @returns {Promise<Array>} - Produtos
+   */
+  async getProducts({ limit, signal } = {}) {
+    const url = limit ? `${this.productsUrl}?limit=${limit}` : this.productsUrl;
+    return this.request(url, { signal });
+  }
+
+  /**
+   * Buscar um produto pelo ID
+   * @param {number|string} id - ID do produto
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object|null>} - Produto
+   */
+  async getProduct(id, { signal } = {}) {
+    return this.request(`${this.productsUrl}/${encodeURIComponent(id)}`, {
+      signal,
+    });
+  }
+
+  /**
+   * Buscar produtos de uma categoria
+   * @param {string} category - Categoria
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Produtos da categoria
+   */
+  async getProductsByCategory(category, { signal } = {}) {
+    return this.request(
+      `${this.productsUrl}/category/${encodeURIComponent(category)}`,
+      { signal }
+    );
+  }
+
+  /**
+   * Buscar categorias
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Nomes das categorias
+   */
+  async getCategories({ signal } = {}) {
+    return this.request(`${this.productsUrl}/categories`, { signal });
+  }
+
+  /**
+   * Buscar usuários
+   * @param {number} count - Quantidade de usuários
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Usuários
+   */
+  async getUsers(count, { signal } = {}) {
+    const response = await this.request(`${this.usersUrl}?results=${count}`, {
+      signal,
+    });
+    return response.results || [];
+  }
+
+  /**
+   * Extrair produtos de uma resposta guardada no cache
+   * @param {*} response - Resposta de qualquer requisição
+   * @returns {Array} - Produtos encontrados (vazio se não for de produtos)
+   */
+  readProducts(response) {
+    const items = Array.isArray(response) ? response : [response];
+    return items.filter((item) => item?.id != null && item.title);
+  }
+
+  /**
+   * Verificar se uma URL pertence a esta fonte
+   * @param {string} url - URL de uma resposta guardada
+   * @returns {boolean} - Se a resposta veio desta fonte
+   */
+  ownsUrl(url) {
+    return url.startsWith(this.productsUrl) || url.startsWith(this.usersUrl);
+  }
+}
+
+/**
+ * Fonte de dados a partir de um arquivo JSON estático ({ products, users })
+ * Permite usar a loja sem conexão; filtros e limites são aplicados no navegador
+ */
+class StaticJsonDataSource {
+  /**
+   * @param {Function} request - Função (url, options) => Promise com os dados
+   * @param {Object} options - Caminho do arquivo
+   */
+  constructor(request, { url = 'data/fixtures/loja.json' } = {}) {
+    this.request = request;
+    this.url = url;
+  }
+
+  /**
+   * Carregar o arquivo (o cache do ApiManager evita leituras repetidas)
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object>} - { products, users }
+   */
+  async load({ signal } = {}) {
+    const data = await this.request(this.url, { signal });
+    return { products: data.products || [], users: data.users || [] };
+  }
+
+  /**
+   * Buscar produtos
+   * @param {Object} options - { limit, signal }
+   * @returns {Promise<Array>} - Produtos
+   */
+  async getProducts({ limit, signal } = {}) {
+    const { products } = await this.load({ signal });
+    return limit ? products.slice(0, limit) : products;
+  }
+
+  /**
+   * Buscar um produto pelo ID
+   * @param {number|string} id - ID do produto
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object|null>} - Produto
+   */
+  async getProduct(id, { signal } = {}) {
+    const { products } = await this.load({ signal });
+    return (
+      products.find((product) => String(product.id) === String(id)) || null
+    );
+  }
+
+  /**
+   * Buscar produtos de uma categoria
+   * @param {string} category - Categoria
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Produtos da categoria
+   */
+  async getProductsByCategory(category, { signal } = {}) {
+    const { products } = await this.load({ signal });
+    return products.filter((product) => product.category === category);
+  }
+
+  /**
+   * Buscar categorias presentes nos produtos
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Nomes das categorias
+   */
+  async getCategories({ signal } = {}) {
+    const { products } = await this.load({ signal });
+    return [...new Set(products.map((product) => product.category))];
+  }
+
+  /**
+   * Buscar usuários
+   * @param {number} count - Quantidade de usuários
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Usuários
+   */
+  async getUsers(count, { signal } = {}) {
+    const { users } = await this.load({ signal });
+    return users.slice(0, count);
+  }
+
+  /**
+   * Extrair produtos de uma resposta guardada no cache
+   * @param {*} response - Resposta de qualquer requisição
+   * @returns {Array} - Produtos encontrados
+   */
+  readProducts(response) {
+    return Array.isArray(response?.products) ? response.products : [];
+  }
+
+  /**
+   * Verificar se uma URL pertence a esta fonte
+   * @param {string} url - URL de uma resposta guardada
+   * @returns {boolean} - Se a resposta veio deste arquivo
+   */
+  ownsUrl(url) {
+    return url === this.url;
+  }
+}
+
+/**
+ * Servidor simulado para o modo de fixtures: responde no lugar da rede às
+ * URLs de baseUrl imitando as rotas da Fake Store e da Random User API, a
+ * partir de um arquivo JSON local ({ products, users })
+ *
+ * Como as respostas passam pelo fetch do ApiManager, atrasos e falhas seguem
+ * o mesmo caminho de uma falha real: tempo limite, novas tentativas, disjuntor
+ * e resposta guardada no cache
+ */
+class FixtureServer {
+  /**
+   * @param {Object} options - URL base atendida, arquivo de dados e simulações:
+   *   latency (ms ou [mín, máx]), failures ({ operação: falha }),
+   *   failureRate (0 a 1) e empty (lista de operações ou true para todas)
+   */
+  constructor({
+    baseUrl,
+    url = 'data/fixtures/loja.json',
+    latency = 0,
+    failures = {},
+    failureRate = 1,
+    empty = [],
+  }) {
+    this.baseUrl = baseUrl;
+    this.url = url;
+    this.latency = latency;
+    this.failures = failures;
+    this.failureRate = failureRate;
+    this.empty = empty;
+    this.data = null;
+  }
+
+  /**
+   * Responder a uma requisição (URLs fora de baseUrl vão para a rede)
+   * @param {string} url - URL da requisição
+   * @param {Object} init - Opções do fetch
+   * @returns {Promise<Response>} - Resposta simulada
+   */
+  async fetch(url, init = {}) {
+    if (!url.startsWith(this.baseUrl)) return fetch(url, init);
+
+    const route = this.route(new URL(url));
+    if (!route) return this.createResponse(404, { error: 'Rota inexistente' });
+
+    await this.wait(init.signal);
+
+    const failure = this.failures[route.operation] ?? this.failures['*'];
+    if (failure != null && Math.random() < this.failureRate) {
+      return this.fail(failure, init.signal);
+    }
+
+    if (this.isEmpty(route.operation)) {
+      return this.createResponse(200, route.emptyBody);
+    }
+
+    return this.createResponse(200, route.respond(await this.load()));
+  }
+
+  /**
+   * Verificar se uma operação está configurada para responder vazio
+   * @param {string} operation - Nome da operação
+   * @returns {boolean} - Se a resposta é vazia
+   */
+  isEmpty(operation) {
+    return this.empty === true || this.empty.includes(operation);
+  }
+
+  /**
+   * Identificar a operação pedida pela URL
+   * @param {URL} url - URL da requisição
+   * @returns {Object|null} - { operation, emptyBody, respond(data) }
+   */
+  route(url) {
+    const path = url.pathname.slice(new URL(this.baseUrl).pathname.length);
+    const limit = Number(url.searchParams.get('limit')) || undefined;
+    const [, resource, first, second] = path.split('/').map(decodeURIComponent);
+
+    if (resource === 'users') {
+      const count = Number(url.searchParams.get('results')) || undefined;
+      return {
+        operation: 'users',
+        emptyBody: { results: [] },
+        respond: ({ users }) => ({ results: users.slice(0, count) }),
+      };
+    }
+
+    if (resource !== 'products') return null;
+
+    if (!first) {
+      return {
+        operation: 'products',
+        emptyBody: [],
+        respond: ({ products }) => products.slice(0, limit),
+      };
+    }
+    if (first === 'categories') {
+      return {
+        operation: 'categories',
+        emptyBody: [],
+        respond: ({ products }) => [
+          ...new Set(products.map((product) => product.category)),
+        ],
+      };
+    }
+    if (first === 'category') {
+      return {
+        operation: 'productsByCategory',
+        emptyBody: [],
+        respond: ({ products }) =>
+          products.filter((product) => product.category === second),
+      };
+    }
+
+    // Como a Fake Store, um ID inexistente responde sem produto
+    return {
+      operation: 'product',
+      emptyBody: null,
+      respond: ({ products }) =>
+        products.find((product) => String(product.id) === first) || null,
+    };
+  }
+
+  /**
+   * Carregar o arquivo de dados uma única vez
+   * @returns {Promise<Object>} - { products, users }
+   */
+  load() {
+    if (!this.data) {
+      this.data = fetch(this.url)
+        .then((response) => {
+          if (!response.ok) throw new HttpError(response.status);
+          return response.json();
+        })
+        .then((data) => ({
+          products: data.products || [],
+          users: data.users || [],
+        }))
+        .catch((error) => {
+          this.data = null;
+          throw error;
+        });
+    }
+    return this.data;
+  }
+
+  /**
+   * Aguardar o atraso configurado
+   * @param {AbortSignal} [signal] - Sinal que interrompe a espera
+   * @returns {Promise} - Resolvida após o atraso (rejeitada se cancelada)
+   */
+  wait(signal) {
+    const [min, max] = Array.isArray(this.latency)
+      ? this.latency
+      : [this.latency, this.latency];
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Requisição cancelada', 'AbortError'));
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, min + Math.random() * (max - min));
+
+      if (signal?.aborted) onAbort();
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  /**
+   * Produzir a falha configurada
+   * @param {number|string} failure - Código HTTP, 'rede' ou 'tempo'
+   * @param {AbortSignal} [signal] - Sinal da requisição
+   * @returns {Promise<Response>} - Resposta de erro (ou rejeição, como o fetch)
+   */
+  fail(failure, signal) {
+    if (failure === 'rede') {
+      return Promise.reject(new TypeError('Failed to fetch'));
+    }
+
+    // Sem resposta: o tempo limite do ApiManager cancela a requisição
+    if (failure === 'tempo') {
+      return new Promise((_, reject) => {
+        const onAbort = () =>
+          reject(new DOMException('Requisição cancelada', 'AbortError'));
+        if (signal?.aborted) onAbort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
+    }
+
+    return Promise.resolve(
+      this.createResponse(Number(failure), { error: 'Falha simulada' })
+    );
+  }
+
+  /**
+   * Criar resposta JSON
+   * @param {number} status - Código HTTP
+   * @param {*} body - Corpo da resposta
+   * @returns {Response} - Resposta do fetch
+   */
+  createResponse(status, body) {
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+/**
+ * Fonte de dados de desenvolvimento: a Fake Store servida pelo FixtureServer,
+ * com atrasos, falhas e respostas vazias simulados, para exercitar os estados
+ * de carregamento, erro e vazio do DataLoader sem acesso à rede
+ *
+ * Operações: products, product, productsByCategory, categories, users ('*' = todas)
+ * Falhas: código HTTP (ex.: 500), 'rede' (sem conexão) ou 'tempo' (tempo limite)
+ * Ative pela configuração ({ type: 'fixtures', scenario: 'lento' }) ou, em
+ * desenvolvimento, pela URL (?fixtures=lento); cenários em scenarios()
+ */
+class FixtureDataSource extends FakeStoreDataSource {
+  /**
+   * @param {Function} request - Função (url, options) => Promise com os dados
+   * @param {Object} options - Arquivo, cenário e ajustes que sobrepõem o
+   *   cenário (latency, failures, failureRate e empty, ver FixtureServer)
+   */
+  constructor(
+    request,
+    { url, scenario = 'normal', latency, failures, failureRate, empty } = {}
+  ) {
+    const scenarios = FixtureDataSource.scenarios();
+    if (!scenarios[scenario]) {
+      console.warn(`Cenário de fixtures desconhecido: ${scenario}`);
+    }
+    const preset = scenarios[scenario] || {};
+
+    // Cada cenário tem URLs próprias, para não reaproveitar o cache de outro
+    const baseUrl = `https://fixtures.gamestore.local/${encodeURIComponent(
+      scenario
+    )}`;
+    super(request, {
+      productsUrl: `${baseUrl}/products`,
+      usersUrl: `${baseUrl}/users`,
+    });
+
+    this.scenario = scenario;
+    this.server = new FixtureServer({
+      baseUrl,
+      url,
+      latency: latency ?? preset.latency,
+      failures: { ...preset.failures, ...failures },
+      failureRate: failureRate ?? preset.failureRate,
+      empty: empty ?? preset.empty,
+    });
+
+    // Usado pelo ApiManager no lugar do fetch
+    this.transport = (requestUrl, init) => this.server.fetch(requestUrl, init);
+
+    console.info(`Modo de fixtures ativo (cenário: ${scenario})`);
+  }
+
+  /**
+   * Cenários prontos
+   * @returns {Object} - Opções de cada cenário por nome
+   */
+  static scenarios() {
+    return {
+      normal: {},
+      lento: { latency: [1500, 3000] },
+      vazio: { empty: true },
+      erro: { failures: { '*': 500 } },
+      offline: { failures: { '*': 'rede' } },
+      instavel: {
+        latency: [200, 800],
+        failures: { '*': 503 },
+        failureRate: 0.3,
+      },
+    };
+  }
+
+  /**
+   * Ler a configuração do modo de fixtures da URL (?fixtures=cenário)
+   * Só vale em desenvolvimento (localhost ou arquivo local), a não ser que a
+   * configuração permita; o cenário dura a sessão toda, já que os links
+   * internos não levam o parâmetro adiante, e ?fixtures=desligado o encerra
+   * @param {Location} location - Endereço da página
+   * @param {Object} options - { allowed } para aceitar fora de desenvolvimento
+   * @returns {Object|null} - Configuração da fonte ou null se o modo não foi pedido
+   */
+  static configFromUrl(location, { allowed = false } = {}) {
+    const isDevelopment =
+      location.protocol === 'file:' ||
+      ['localhost', '127.0.0.1', '[::1]'].includes(location.hostname);
+    if (!allowed && !isDevelopment) return null;
+
+    const storageKey = 'gamestore_fixtures';
+    const params = new URLSearchParams(location.search);
+    let scenario = null;
+
+    try {
+      if (params.get('fixtures') === 'desligado') {
+        sessionStorage.removeItem(storageKey);
+      } else if (params.has('fixtures')) {
+        scenario = params.get('fixtures') || 'normal';
+        sessionStorage.setItem(storageKey, scenario);
+      } else {
+        scenario = sessionStorage.getItem(storageKey);
+      }
+    } catch (error) {
+      console.warn('Não foi possível acessar o modo de fixtures:', error);
+      scenario = params.get('fixtures');
+    }
+
+    return scenario && scenario !== 'desligado'
+      ? { type: 'fixtures', scenario }
+      : null;
+  }
+
+  /**
+   * Extrair produtos de uma resposta guardada no cache
+   * Com respostas vazias simuladas, o cache não deve revelar produtos
+   * @param {*} response - Resposta de qualquer requisição
+   * @returns {Array} - Produtos encontrados
+   */
+  readProducts(response) {
+    const productOperations = ['products', 'product', 'productsByCategory'];
+    if (productOperations.some((operation) => this.server.isEmpty(operation))) {
+      return [];
+    }
+    return super.readProducts(response);
+  }
+}
+
+/**
+ * Fonte de dados para uma API REST qualquer, com mapeamento de campos
+ *
+ * Exemplo de configuração:
+ *   {
+ *     type: 'rest',
+ *     baseUrl: 'https://api.minhaloja.com.br',
+ *     endpoints: {
+ *       products: '/produtos?limite={limit}',
+ *       product: '/produtos/{id}',
+ *       productsByCategory: '/produtos?categoria={category}',
+ *       categories: '/categorias',
+ *       users: '/clientes?limite={limit}',
+ *     },
+ *     collections: { products: 'dados.itens', users: 'dados', categories: 'dados' },
+ *     fields: {
+ *       product: { id: 'sku', title: 'nome', price: 'preco.valor', 'rating.rate': 'nota' },
+ *       user: { 'name.first': 'nome', 'picture.medium': 'foto' },
+ *       category: 'slug',
+ *     },
+ *   }
+ * Campos não mapeados são lidos com o mesmo nome do formato da loja.
+ */
+class RestDataSource {
+  /**
+   * @param {Function} request - Função (url, options) => Promise com os dados
+   * @param {Object} options - URL base, endpoints, coleções e mapeamento de campos
+   */
+  constructor(
+    request,
+    { baseUrl = '', endpoints = {}, collections = {}, fields = {} } = {}
+  ) {
+    this.request = request;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.endpoints = {
+      products: '/products',
+      product: '/products/{id}',
+      productsByCategory: '/products/category/{category}',
+      categories: '/products/categories',
+      users: '/users',
+      ...endpoints,
+    };
+    this.collections = collections;
+    this.fields = fields;
+
+    this.productShape = [
+      'id',
+      'title',
+      'price',
+      'currency',
+      'description',
+      'category',
+      'image',
+      'rating.rate',
+      'rating.count',
+    ];
+    this.userShape = [
+      'name.first',
+      'name.last',
+      'location.city',
+      'location.country',
+      'picture.medium',
+    ];
+  }
+
+  /**
+   * Ler valor por caminho com pontos (ex.: 'preco.valor' ou 'imagens.0.url')
+   * @param {Object} source - Objeto de origem
+   * @param {string} path - Caminho
+   * @returns {*} - Valor encontrado
+   */
+  static getPath(source, path) {
+    if (!path) return source;
+    return path
+      .split('.')
+      .reduce(
+        (value, part) => (value == null ? undefined : value[part]),
+        source
+      );
+  }
+
+  /**
+   * Gravar valor por caminho com pontos, criando objetos intermediários
+   * @param {Object} target - Objeto de destino
+   * @param {string} path - Caminho
+   * @param {*} value - Valor
+   */
+  static setPath(target, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const parent = parts.reduce((node, part) => {
+      node[part] = node[part] || {};
+      return node[part];
+    }, target);
+    parent[last] = value;
+  }
+
+  /**
+   * Montar URL de um endpoint substituindo os marcadores {nome}
+   * @param {string} name - Nome do endpoint
+   * @param {Object} params - Valores dos marcadores
+   * @returns {string} - URL completa
+   */
+  buildUrl(name, params = {}) {
+    const path = this.endpoints[name]
+      .replace(/\{(\w+)\}/g, (_, key) =>
+        params[key] == null ? '' : encodeURIComponent(params[key])
+      )
+      // Remove parâmetros de consulta que ficaram sem valor
+      .replace(/[?&]\w+=(?=&|$)/g, '')
+      .replace(/\?&/, '?')
+      .replace(/\?$/, '');
+
+    return `${this.baseUrl}${path}`;
+  }
+
+  /**
+   * Converter um item conforme o mapeamento de campos
+   * @param {Object} item - Item como retornado pela API
+   * @param {Array<string>} shape - Campos do formato da loja
+   * @param {Object} mapping - Campo da loja => caminho na resposta
+   * @param {*} [fallback] - Valor dos campos ausentes (por padrão ficam de fora)
+   * @returns {Object} - Item no formato da loja
+   */
+  mapItem(item, shape, mapping = {}, fallback) {
+    const result = {};
+
+    shape.forEach((field) => {
+      const value = RestDataSource.getPath(item, mapping[field] || field);
+      if (value !== undefined || fallback !== undefined) {
+        RestDataSource.setPath(result, field, value ?? fallback);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Extrair a lista de uma resposta
+   * @param {*} response - Resposta da API
+   * @param {string} collection - Nome da coleção configurada
+   * @returns {Array} - Itens
+   */
+  readCollection(response, collection) {
+    const items = RestDataSource.getPath(
+      response,
+      this.collections[collection]
+    );
+    return Array.isArray(items) ? items : [];
+  }
+
+  /**
+   * Buscar produtos
+   * @param {Object} options - { limit, signal }
+   * @returns {Promise<Array>} - Produtos
+   */
+  async getProducts({ limit, signal } = {}) {
+    const response = await this.request(this.buildUrl('products', { limit }), {
+      signal,
+    });
+    const products = this.readProducts(response);
+
+    // O limite também vale para APIs que ignoram o parâmetro
+    return limit ? products.slice(0, limit) : products;
+  }
+
+  /**
+   * Buscar um produto pelo ID
+   * @param {number|string} id - ID do produto
+   * @param {Object} options - { signal }
+   * @returns {Promise<Object|null>} - Produto
+   */
+  async getProduct(id, { signal } = {}) {
+    const response = await this.request(this.buildUrl('product', { id }), {
+      signal,
+    });
+    const item = this.collections.product
+      ? RestDataSource.getPath(response, this.collections.product)
+      : response;
+
+    return item
+      ? this.mapItem(item, this.productShape, this.fields.product)
+      : null;
+  }
+
+  /**
+   * Buscar produtos de uma categoria
+   * @param {string} category - Categoria
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Produtos da categoria
+   */
+  async getProductsByCategory(category, { signal } = {}) {
+    const response = await this.request(
+      this.buildUrl('productsByCategory', { category }),
+      { signal }
+    );
+    return this.readProducts(response);
+  }
+
+  /**
+   * Buscar categorias
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Nomes das categorias
+   */
+  async getCategories({ signal } = {}) {
+    const response = await this.request(this.buildUrl('categories'), {
+      signal,
+    });
+
+    return this.readCollection(response, 'categories').map((category) =>
+      typeof category === 'string'
+        ? category
+        : RestDataSource.getPath(category, this.fields.category || 'name')
+    );
+  }
+
+  /**
+   * Buscar usuários
+   * @param {number} count - Quantidade de usuários
+   * @param {Object} options - { signal }
+   * @returns {Promise<Array>} - Usuários
+   */
+  async getUsers(count, { signal } = {}) {
+    const response = await this.request(
+      this.buildUrl('users', { limit: count }),
+      { signal }
+    );
+
+    // Os cards de usuário esperam todos os campos preenchidos
+    return this.readCollection(response, 'users')
+      .slice(0, count)
+      .map((user) => this.mapItem(user, this.userShape, this.fields.user, ''));
+  }
+
+  /**
+   * Extrair e converter produtos de uma resposta
+   * @param {*} response - Resposta de qualquer requisição
+   * @returns {Array} - Produtos encontrados
+   */
+  readProducts(response) {
+    return this.readCollection(response, 'products')
+      .map((item) => this.mapItem(item, this.productShape, this.fields.product))
+      .filter((product) => product.id != null && product.title);
+  }
+
+  /**
+   * Verificar se uma URL pertence a esta fonte
+   * @param {string} url - URL de uma resposta guardada
+   * @returns {boolean} - Se a resposta veio desta API
+   */
+  ownsUrl(url) {
+    return url.startsWith(`${this.baseUrl}/`);
+  }
+}
+
+/**
+ * Criar fonte de dados a partir da configuração
+ * @param {Object} config - { type: 'fakestore' | 'json' | 'fixtures' | 'rest', ...opções da fonte }
+ * @param {Function} request - Função (url, options) => Promise com os dados
+ * @returns {Object} - Fonte de dados
+ */
+function createDataSource(config = {}, request) {
+  const { type = 'fakestore', ...options } = config;
+  const sources = {
+    fakestore: FakeStoreDataSource,
+    json: StaticJsonDataSource,
+    fixtures: FixtureDataSource,
+    rest: RestDataSource,
+  };
+
+  if (!sources[type]) {
+    console.warn(`Fonte de dados desconhecida: ${type}. Usando a Fake Store.`);
+    return new FakeStoreDataSource(request);
+  }
+
+  return new sources[type](request, options);
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    FakeStoreDataSource,
+    StaticJsonDataSource,
+    FixtureServer,
+    FixtureDataSource,
+    RestDataSource,
+    createDataSource,
+  };
+}
@@ -0,0 +1,307 @@
+// ========================================
+// GAMESTORE - CUPONS E PROMOÇÕES
+// ========================================
+
+/**
+ * Regras de preço do carrinho: cupons de desconto definidos em data/cupons.json
+ *
+ * Tipos de cupom suportados:
+ *   percentage    - percentual sobre os itens elegíveis
+ *   fixed         - valor fixo (na moeda do arquivo de cupons)
+ *   free-shipping - frete grátis no checkout
+ *   buy-x-get-y   - a cada "buy" unidades, "get" unidades mais baratas saem grátis
+ * Qualquer tipo pode ser limitado a categorias, a um período e a um pedido mínimo.
+ */
+class PricingRules {
+  /**
+   * @param {CartStore} cart - Carrinho de compras
+   * @param {CurrencyService} currencyService - Conversão de valores do arquivo de cupons
+   */
+  constructor(cart, currencyService) {
+    this.cart = cart;
+    this.currencyService = currencyService;
+    this.storageKey = 'gamestore_coupon';
+
+    this.coupons = new Map();
+    this.currency = 'BRL';
+    this.appliedCode = null;
+    this.listeners = new Set();
+
+    this.load();
+  }
+
+  /**
+   * Definir cupons a partir da configuração JSON
+   * @param {Object} config - { currency, coupons: [...] }
+   */
+  setCoupons(config) {
+    this.currency = config?.currency || 'BRL';
+    this.coupons = new Map(
+      (config?.coupons || []).map((coupon) => [
+        PricingRules.normalizeCode(coupon.code),
+        {
+          ...coupon,
+          code: PricingRules.normalizeCode(coupon.code),
+          categories: coupon.categories || [],
+          minOrder: coupon.minOrder || 0,
+        },
+      ])
+    );
+    this.notify();
+  }
+
+  /**
+   * Padronizar código digitado pelo usuário
+   * @param {string} code - Código do cupom
+   * @returns {string} - Código em maiúsculas e sem espaços
+   */
+  static normalizeCode(code) {
+    return String(code || '')
+      .trim()
+      .toUpperCase();
+  }
+
+  /**
+   * Carregar cupom aplicado do localStorage
+   */
+  load() {
+    try {
+      this.appliedCode = localStorage.getItem(this.storageKey);
+    } catch (error) {
+      console.warn('Não foi possível carregar o cupom:', error);
+    }
+  }
+
+  /**
+   * Salvar cupom aplicado no localStorage
+   */
+  save() {
+    try {
+      if (this.appliedCode) {
+        localStorage.setItem(this.storageKey, this.appliedCode);
+      } else {
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.warn('Não foi possível salvar o cupom:', error);
+    }
+  }
+
+  /**
+   * Validar e aplicar um cupom ao carrinho
+   * @param {string} code - Código digitado
+   * @returns {Object} - Cupom aplicado
+   * @throws {Error} - Mensagem explicando por que o cupom não vale
+   */
+  applyCoupon(code) {
+    const normalized = PricingRules.normalizeCode(code);
+
+    if (!normalized) {
+      throw new Error('Digite o código do cupom.');
+    }
+
+    const coupon = this.coupons.get(normalized);
+    if (!coupon) {
+      throw new Error(`Cupom "${normalized}" não encontrado.`);
+    }
+
+    const error = this.validate(coupon, this.cart.getItems());
+    if (error) {
+      throw new Error(error);
+    }
+
+    this.appliedCode = coupon.code;
+    this.commit();
+    return coupon;
+  }
+
+  /**
+   * Remover o cupom aplicado
+   */
+  removeCoupon() {
+    if (!this.appliedCode) return;
+
+    this.appliedCode = null;
+    this.commit();
+  }
+
+  /**
+   * Obter o cupom aplicado
+   * @returns {Object|null} - Cupom ou null
+   */
+  getAppliedCoupon() {
+    return this.coupons.get(this.appliedCode) || null;
+  }
+
+  /**
+   * Verificar se um cupom vale para os itens do carrinho
+   * @param {Object} coupon - Cupom normalizado
+   * @param {Array} items - Itens do carrinho (CartStore.getItems)
+   * @param {Date} now - Data de referência
+   * @returns {string|null} - Mensagem de erro ou null quando válido
+   */
+  validate(coupon, items, now = new Date()) {
+    // As datas do arquivo de cupons seguem o horário da loja
+    const dateFormat = (value) =>
+      new Date(value).toLocaleDateString('pt-BR', {
+        timeZone: 'America/Sao_Paulo',
+      });
+
+    if (items.length === 0) {
+      return 'Adicione produtos ao carrinho antes de usar um cupom.';
+    }
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) {
+      return `O cupom ${coupon.code} só vale a partir de ${dateFormat(
+        coupon.validFrom
+      )}.`;
+    }
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) {
+      return `O cupom ${coupon.code} expirou em ${dateFormat(
+        coupon.validUntil
+      )}.`;
+    }
+
+    const subtotal = items.reduce((total, item) => total + item.lineTotal, 0);
+    const minOrder = this.convert(coupon.minOrder);
+    if (subtotal < minOrder) {
+      return `O cupom ${coupon.code} exige pedido mínimo de ${this.currencyService.format(
+        minOrder
+      )}.`;
+    }
+
+    const eligible = this.getEligibleItems(coupon, items);
+    if (eligible.length === 0) {
+      const labels = coupon.categories
+        .map((category) => ProductRepository.getCategoryLabel(category))
+        .join(', ');
+      return `O cupom ${coupon.code} vale apenas para: ${labels}.`;
+    }
+
+    if (coupon.type === 'buy-x-get-y') {
+      const units = eligible.reduce((total, item) => total + item.quantity, 0);
+      const required = coupon.buy + coupon.get;
+      if (units < required) {
+        return `O cupom ${coupon.code} precisa de ${required} unidades elegíveis no carrinho (faltam ${
+          required - units
+        }).`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Filtrar itens das categorias do cupom (sem categorias, todos valem)
+   * @param {Object} coupon - Cupom normalizado
+   * @param {Array} items - Itens do carrinho
+   * @returns {Array} - Itens elegíveis
+   */
+  getEligibleItems(coupon, items) {
+    if (coupon.categories.length === 0) return items;
+    return items.filter((item) => coupon.categories.includes(item.category));
+  }
+
+  /**
+   * Calcular o desconto de um cupom já validado
+   * @param {Object} coupon - Cupom normalizado
+   * @param {Array} items - Itens do carrinho
+   * @returns {number} - Desconto na moeda de exibição
+   */
+  calculateDiscount(coupon, items) {
+    const eligible = this.getEligibleItems(coupon, items);
+    const eligibleTotal = eligible.reduce(
+      (total, item) => total + item.lineTotal,
+      0
+    );
+
+    switch (coupon.type) {
+      case 'percentage':
+        return (eligibleTotal * coupon.value) / 100;
+      case 'fixed':
+        return Math.min(this.convert(coupon.value), eligibleTotal);
+      case 'buy-x-get-y': {
+        // Uma lista de preços por unidade, das mais baratas para as mais caras
+        const unitPrices = eligible
+          .flatMap((item) => Array(item.quantity).fill(item.displayUnitPrice))
+          .sort((a, b) => a - b);
+        const freeUnits =
+          Math.floor(unitPrices.length / (coupon.buy + coupon.get)) *
+          coupon.get;
+        return unitPrices
+          .slice(0, freeUnits)
+          .reduce((total, price) => total + price, 0);
+      }
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * Resumo de preços do carrinho com o cupom aplicado
+   * Um cupom que deixou de valer (ex.: itens removidos) fica sem efeito e traz o motivo
+   * @returns {Object} - { subtotal, discount, freeShipping, total, coupon, error }
+   */
+  getSummary() {
+    const items = this.cart.getItems();
+    const subtotal = items.reduce((total, item) => total + item.lineTotal, 0);
+    const summary = {
+      subtotal,
+      discount: 0,
+      freeShipping: false,
+      total: subtotal,
+      coupon: this.getAppliedCoupon(),
+      error: null,
+    };
+
+    if (!summary.coupon) return summary;
+
+    summary.error = this.validate(summary.coupon, items);
+    if (summary.error) return summary;
+
+    summary.discount = this.calculateDiscount(summary.coupon, items);
+    summary.freeShipping = summary.coupon.type === 'free-shipping';
+    summary.total = subtotal - summary.discount;
+    return summary;
+  }
+
+  /**
+   * Converter valor do arquivo de cupons para a moeda de exibição
+   * @param {number} amount - Valor na moeda dos cupons
+   * @returns {number} - Valor convertido
+   */
+  convert(amount) {
+    return this.currencyService.convert(amount || 0, this.currency);
+  }
+
+  /**
+   * Registrar função chamada quando o cupom ou a configuração mudar
+   * @param {Function} listener - Função que recebe as regras
+   * @returns {Function} - Função para cancelar o registro
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persistir e notificar alterações
+   */
+  commit() {
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Notificar ouvintes registrados
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    PricingRules,
+  };
+}
@@ -0,0 +1,175 @@
+// ========================================
+// GAMESTORE - CAMADA DE DADOS DE PRODUTOS
+// ========================================
+
+/**
+ * Repositório de produtos normalizados (API e jogos locais)
+ * Implementa padrão Singleton para compartilhar os dados entre scripts
+ */
+class ProductRepository {
+  constructor() {
+    if (ProductRepository.instance) {
+      return ProductRepository.instance;
+    }
+
+    this.products = new Map();
+
+    ProductRepository.instance = this;
+  }
+
+  /**
+   * Gerar chave única de um produto
+   * @param {string} source - Origem do produto ('api' ou 'local')
+   * @param {string|number} id - ID do produto na origem
+   * @returns {string} - Chave do produto
+   */
+  static createKey(source, id) {
+    return `${source}-${id}`;
+  }
+
+  /**
+   * Separar origem e ID de uma chave de produto
+   * @param {string} key - Chave do produto (ex.: 'api-3', 'local-gta-v')
+   * @returns {Object} - { source, id }
+   */
+  static parseKey(key) {
+    const separator = key.indexOf('-');
+    return {
+      source: key.slice(0, separator),
+      id: key.slice(separator + 1),
+    };
+  }
+
+  /**
+   * Obter nome em português de uma categoria
+   * @param {string} category - Chave da categoria
+   * @returns {string} - Nome para exibição
+   */
+  static getCategoryLabel(category) {
+    const labels = {
+      electronics: 'Eletrônicos',
+      "men's clothing": 'Roupas Masculinas',
+      "women's clothing": 'Roupas Femininas',
+      jewelery: 'Joias',
+      games: 'Jogos',
+    };
+
+    return labels[category] || category;
+  }
+
+  /**
+   * Normalizar produto vindo da fonte de dados (formato da Fake Store API)
+   * @param {Object} raw - Produto como entregue pela fonte de dados
+   * @returns {Object} - Produto normalizado
+   */
+  static normalizeApiProduct(raw) {
+    return {
+      key: ProductRepository.createKey('api', raw.id),
+      id: raw.id,
+      source: 'api',
+      title: raw.title,
+      description: raw.description || '',
+      price: Number(raw.price) || 0,
+      // A Fake Store usa dólares; outras fontes podem informar a moeda
+      currency: raw.currency || 'USD',
+      category: raw.category,
+      image: raw.image,
+      rating: raw.rating
+        ? { rate: Number(raw.rating.rate) || 0, count: raw.rating.count || 0 }
+        : null,
+    };
+  }
+
+  /**
+   * Normalizar jogo do catálogo local (data/jogos.json)
+   * @param {Object} raw - Jogo como descrito no arquivo
+   * @returns {Object} - Produto normalizado, com plataformas e metadados do jogo
+   */
+  static normalizeLocalGame(raw) {
+    return {
+      key: ProductRepository.createKey('local', raw.id),
+      id: raw.id,
+      source: 'local',
+      title: raw.title,
+      description: raw.description || '',
+      price: Number(raw.price) || 0,
+      currency: raw.currency || 'BRL',
+      category: raw.category || 'games',
+      image: raw.image || '',
+      imageAlt: raw.imageAlt || raw.title,
+      rating: raw.rating ? { rate: Number(raw.rating) || 0, count: 0 } : null,
+      platforms: raw.platforms || [],
+      metadata: {
+        genre: raw.genre || '',
+        mode: raw.mode || '',
+        size: raw.size || '',
+        features: raw.features || [],
+      },
+    };
+  }
+
+  /**
+   * Registrar produtos da API
+   * @param {Array} rawProducts - Produtos como retornados pela API
+   * @returns {Array} - Produtos normalizados
+   */
+  registerApiProducts(rawProducts) {
+    return rawProducts.map((raw) =>
+      this.register(ProductRepository.normalizeApiProduct(raw))
+    );
+  }
+
+  /**
+   * Registrar jogos do catálogo local
+   * @param {Array} rawGames - Jogos como descritos em data/jogos.json
+   * @returns {Array} - Produtos normalizados
+   */
+  registerLocalGames(rawGames) {
+    return rawGames.map((raw) =>
+      this.register(ProductRepository.normalizeLocalGame(raw))
+    );
+  }
+
+  /**
+   * Registrar um produto normalizado
+   * @param {Object} product - Produto normalizado
+   * @returns {Object} - Produto registrado
+   */
+  register(product) {
+    this.products.set(product.key, product);
+    return product;
+  }
+
+  /**
+   * Obter produto pela chave
+   * @param {string} key - Chave do produto
+   * @returns {Object|undefined} - Produto encontrado
+   */
+  get(key) {
+    return this.products.get(key);
+  }
+
+  /**
+   * Obter produto representado por um card
+   * @param {HTMLElement} card - Card do produto
+   * @returns {Object|undefined} - Produto encontrado
+   */
+  findByElement(card) {
+    return this.get(card?.dataset.productKey);
+  }
+
+  /**
+   * Obter todos os produtos registrados
+   * @returns {Array} - Lista de produtos
+   */
+  getAll() {
+    return Array.from(this.products.values());
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    ProductRepository,
+  };
+}
@@ -0,0 +1,68 @@
+// ========================================
+// GAMESTORE - PRODUTOS VISTOS RECENTEMENTE
+// ========================================
+
+/**
+ * Lista limitada dos últimos produtos vistos (LRU) no localStorage
+ * Guarda apenas as chaves; os dados vêm do repositório ou do cache da API
+ */
+class RecentlyViewedStore {
+  /**
+   * @param {number} maxItems - Quantidade máxima de produtos lembrados
+   */
+  constructor(maxItems = 8) {
+    this.storageKey = 'gamestore_recently_viewed';
+    this.maxItems = maxItems;
+  }
+
+  /**
+   * Registrar que um produto foi visto (vai para o início da lista)
+   * @param {string} key - Chave do produto
+   */
+  record(key) {
+    if (!key) return;
+
+    const keys = [key, ...this.getKeys().filter((saved) => saved !== key)];
+    this.save(keys.slice(0, this.maxItems));
+  }
+
+  /**
+   * Obter chaves dos produtos vistos, do mais recente para o mais antigo
+   * @returns {Array<string>} - Chaves dos produtos
+   */
+  getKeys() {
+    try {
+      const keys = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(keys) ? keys.slice(0, this.maxItems) : [];
+    } catch (error) {
+      console.warn('Não foi possível carregar os produtos vistos:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Salvar chaves no localStorage
+   * @param {Array<string>} keys - Chaves dos produtos
+   */
+  save(keys) {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(keys));
+    } catch (error) {
+      console.warn('Não foi possível salvar os produtos vistos:', error);
+    }
+  }
+
+  /**
+   * Esquecer todos os produtos vistos
+   */
+  clear() {
+    this.save([]);
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    RecentlyViewedStore,
+  };
+}
@@ -0,0 +1,245 @@
+// ========================================
+// GAMESTORE - RESILIÊNCIA DAS REQUISIÇÕES
+// ========================================
+
+/**
+ * Erro de resposta HTTP sem sucesso
+ */
+class HttpError extends Error {
+  /**
+   * @param {number} status - Código HTTP
+   * @param {number|null} retryAfter - Espera pedida pelo servidor (ms)
+   */
+  constructor(status, retryAfter = null) {
+    super(`HTTP error! status: ${status}`);
+    this.name = 'HttpError';
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Converter o cabeçalho Retry-After (segundos ou data HTTP) em milissegundos
+   * @param {string|null} header - Valor do cabeçalho
+   * @returns {number|null} - Espera em milissegundos
+   */
+  static parseRetryAfter(header) {
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+  }
+}
+
+/**
+ * Erro de requisição que passou do tempo limite
+ */
+class TimeoutError extends Error {
+  /**
+   * @param {number} timeout - Tempo limite em milissegundos
+   */
+  constructor(timeout) {
+    super(`Tempo limite de ${timeout / 1000}s excedido`);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * Erro lançado quando o circuito de um servidor está aberto
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} host - Servidor indisponível
+   */
+  constructor(host) {
+    super(`Serviço ${host} temporariamente indisponível`);
+    this.name = 'CircuitOpenError';
+    this.host = host;
+  }
+}
+
+/**
+ * Política de novas tentativas com espera exponencial e variação aleatória
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} options - Tentativas extras, esperas (ms) e espera máxima aceita do servidor
+   */
+  constructor({
+    retries = 3,
+    baseDelay = 500,
+    maxDelay = 8000,
+    factor = 2,
+    maxRetryAfter = 30000,
+  } = {}) {
+    this.retries = retries;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.maxRetryAfter = maxRetryAfter;
+  }
+
+  /**
+   * Verificar se o erro indica falha temporária do servidor ou da rede
+   * @param {Error} error - Erro da tentativa
+   * @returns {boolean} - Se vale tentar de novo
+   */
+  static isTransient(error) {
+    if (error instanceof HttpError) {
+      return error.status === 429 || error.status >= 500;
+    }
+
+    // fetch rejeita com TypeError quando não há conexão
+    return error instanceof TimeoutError || error instanceof TypeError;
+  }
+
+  /**
+   * Decidir se uma nova tentativa deve ser feita
+   * @param {Error} error - Erro da tentativa
+   * @param {number} attempt - Número da tentativa que falhou (começa em 0)
+   * @returns {boolean} - Se deve tentar de novo
+   */
+  shouldRetry(error, attempt) {
+    if (attempt >= this.retries || !RetryPolicy.isTransient(error)) {
+      return false;
+    }
+
+    // Não vale segurar a página se o servidor pedir uma espera longa demais
+    return !(error.retryAfter > this.maxRetryAfter);
+  }
+
+  /**
+   * Calcular espera antes da próxima tentativa
+   * O Retry-After do servidor tem prioridade; sem ele, a espera dobra a cada
+   * tentativa e metade dela é sorteada para que os clientes não voltem juntos
+   * @param {number} attempt - Número da tentativa que falhou (começa em 0)
+   * @param {Error} error - Erro da tentativa
+   * @returns {number} - Espera em milissegundos
+   */
+  getDelay(attempt, error) {
+    if (error?.retryAfter != null) return error.retryAfter;
+
+    const exponential = Math.min(
+      this.baseDelay * this.factor ** attempt,
+      this.maxDelay
+    );
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  /**
+   * Aguardar antes da próxima tentativa
+   * @param {number} attempt - Número da tentativa que falhou
+   * @param {Error} error - Erro da tentativa
+   * @param {AbortSignal} [signal] - Sinal que interrompe a espera
+   * @returns {Promise} - Resolvida após a espera (rejeitada se cancelada)
+   */
+  wait(attempt, error, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeoutId);
+        reject(new DOMException('Requisição cancelada', 'AbortError'));
+      };
+      const timeoutId = setTimeout(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      }, this.getDelay(attempt, error));
+
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+}
+
+/**
+ * Disjuntor por servidor: após falhas seguidas, para de chamar o servidor
+ * por um tempo e deixa passar uma única requisição de teste depois dele
+ *
+ * Estados: fechado (normal) → aberto (bloqueando) → meio-aberto (testando)
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} host - Servidor protegido
+   * @param {Object} options - Falhas seguidas até abrir e tempo aberto (ms)
+   */
+  constructor(host, { failureThreshold = 3, resetTimeout = 30000 } = {}) {
+    this.host = host;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.state = 'fechado';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  /**
+   * Verificar se uma requisição pode ser feita agora
+   * @returns {boolean} - Se a requisição está liberada
+   */
+  canRequest() {
+    if (this.state === 'fechado') return true;
+
+    if (
+      this.state === 'aberto' &&
+      Date.now() - this.openedAt >= this.resetTimeout
+    ) {
+      this.state = 'meio-aberto';
+      return true;
+    }
+
+    // Meio-aberto: a requisição de teste ainda não terminou
+    return false;
+  }
+
+  /**
+   * Registrar sucesso (fecha o circuito)
+   */
+  recordSuccess() {
+    if (this.state !== 'fechado') {
+      console.info(`Serviço ${this.host} voltou a responder`);
+    }
+
+    this.state = 'fechado';
+    this.failures = 0;
+  }
+
+  /**
+   * Devolver a vez de teste quando a requisição de teste foi cancelada
+   * (sem isso o circuito ficaria meio-aberto para sempre)
+   */
+  releaseTrial() {
+    if (this.state === 'meio-aberto') this.state = 'aberto';
+  }
+
+  /**
+   * Registrar falha (abre o circuito no limite ou se o teste falhar)
+   */
+  recordFailure() {
+    this.failures += 1;
+
+    if (
+      this.state === 'meio-aberto' ||
+      this.failures >= this.failureThreshold
+    ) {
+      if (this.state !== 'aberto') {
+        console.warn(
+          `Serviço ${this.host} indisponível; novas tentativas em ${
+            this.resetTimeout / 1000
+          }s`
+        );
+      }
+      this.state = 'aberto';
+      this.openedAt = Date.now();
+    }
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    HttpError,
+    TimeoutError,
+    CircuitOpenError,
+    RetryPolicy,
+    CircuitBreaker,
+  };
+}
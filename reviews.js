@@ -0,0 +1,456 @@
+// ========================================
+// GAMESTORE - AVALIAÇÕES DE CLIENTES
+// ========================================
+
+/**
+ * Armazenamento de avaliações no localStorage
+ *
+ * Qualquer objeto com os métodos assíncronos abaixo pode substituí-lo
+ * (por exemplo, um backend real):
+ *   list(productKey) => Promise<Array>   avaliações do produto
+ *   add(productKey, review) => Promise<Object>   avaliação salva
+ */
+class LocalReviewStorage {
+  /**
+   * @param {string} storageKey - Chave usada no localStorage
+   */
+  constructor(storageKey = 'gamestore_reviews') {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * Listar avaliações de um produto
+   * @param {string} productKey - Chave do produto
+   * @returns {Promise<Array>} - Avaliações salvas
+   */
+  async list(productKey) {
+    return this.readAll()[productKey] || [];
+  }
+
+  /**
+   * Salvar avaliação de um produto
+   * @param {string} productKey - Chave do produto
+   * @param {Object} review - Avaliação já validada
+   * @returns {Promise<Object>} - Avaliação salva
+   */
+  async add(productKey, review) {
+    const all = this.readAll();
+    all[productKey] = [...(all[productKey] || []), review];
+
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(all));
+    } catch (error) {
+      console.warn('Não foi possível salvar a avaliação:', error);
+      throw new Error('Não foi possível salvar a avaliação');
+    }
+
+    return review;
+  }
+
+  /**
+   * Ler todas as avaliações, agrupadas por produto
+   * @returns {Object} - Avaliações por chave de produto
+   */
+  readAll() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      console.warn('Não foi possível carregar as avaliações:', error);
+      return {};
+    }
+  }
+}
+
+/**
+ * Armazenamento de avaliações em memória (útil sem localStorage)
+ */
+class MemoryReviewStorage {
+  constructor() {
+    this.reviews = new Map();
+  }
+
+  /**
+   * Listar avaliações de um produto
+   * @param {string} productKey - Chave do produto
+   * @returns {Promise<Array>} - Avaliações salvas
+   */
+  async list(productKey) {
+    return [...(this.reviews.get(productKey) || [])];
+  }
+
+  /**
+   * Salvar avaliação de um produto
+   * @param {string} productKey - Chave do produto
+   * @param {Object} review - Avaliação já validada
+   * @returns {Promise<Object>} - Avaliação salva
+   */
+  async add(productKey, review) {
+    this.reviews.set(productKey, [...(await this.list(productKey)), review]);
+    return review;
+  }
+}
+
+/**
+ * Regras de avaliações: validação, ordenação e média combinada com a API
+ */
+class ReviewService {
+  /**
+   * @param {Object} storage - Armazenamento com list() e add()
+   */
+  constructor(storage = new LocalReviewStorage()) {
+    this.storage = storage;
+
+    this.limits = {
+      nameMin: 2,
+      textMin: 10,
+      textMax: 1000,
+    };
+
+    this.sortOptions = {
+      recentes: {
+        label: 'Mais recentes',
+        compare: (a, b) => b.createdAt.localeCompare(a.createdAt),
+      },
+      'maior-nota': {
+        label: 'Maior nota',
+        compare: (a, b) => b.rating - a.rating,
+      },
+      'menor-nota': {
+        label: 'Menor nota',
+        compare: (a, b) => a.rating - b.rating,
+      },
+    };
+  }
+
+  /**
+   * Listar avaliações ordenadas
+   * @param {string} productKey - Chave do produto
+   * @param {string} sort - Chave da ordenação
+   * @returns {Promise<Array>} - Avaliações
+   */
+  async getReviews(productKey, sort = 'recentes') {
+    const reviews = await this.storage.list(productKey);
+    const sorter = this.sortOptions[sort] || this.sortOptions.recentes;
+    return [...reviews].sort(sorter.compare);
+  }
+
+  /**
+   * Validar e salvar uma avaliação
+   * @param {string} productKey - Chave do produto
+   * @param {Object} data - { name, rating, text }
+   * @returns {Promise<Object>} - Avaliação salva
+   */
+  async addReview(productKey, data) {
+    const errors = this.validate(data);
+    if (Object.keys(errors).length > 0) {
+      throw new Error(Object.values(errors)[0]);
+    }
+
+    return this.storage.add(productKey, {
+      id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      name: data.name.trim(),
+      rating: Number(data.rating),
+      text: data.text.trim(),
+      createdAt: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Validar dados de uma avaliação
+   * @param {Object} data - { name, rating, text }
+   * @returns {Object} - Mensagens de erro por campo (vazio quando válido)
+   */
+  validate({ name = '', rating, text = '' }) {
+    const errors = {};
+    const { nameMin, textMin, textMax } = this.limits;
+    const stars = Number(rating);
+
+    if (name.trim().length < nameMin) {
+      errors.name = `Mínimo ${nameMin} caracteres`;
+    }
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      errors.rating = 'Escolha de 1 a 5 estrelas';
+    }
+    if (text.trim().length < textMin) {
+      errors.text = `Mínimo ${textMin} caracteres`;
+    } else if (text.trim().length > textMax) {
+      errors.text = `Máximo ${textMax} caracteres`;
+    }
+
+    return errors;
+  }
+
+  /**
+   * Combinar a avaliação da API com as avaliações locais
+   * @param {Object|null} apiRating - { rate, count } vindo da API
+   * @param {Array} reviews - Avaliações locais
+   * @returns {Object} - { rate, count, localCount, distribution }
+   */
+  aggregate(apiRating, reviews) {
+    const apiCount = apiRating?.count || 0;
+    const apiTotal = (apiRating?.rate || 0) * apiCount;
+    const localTotal = reviews.reduce((sum, review) => sum + review.rating, 0);
+    const count = apiCount + reviews.length;
+
+    // Quantidade de avaliações locais por nota (a API só informa a média)
+    const distribution = { 5: 0, 4: 0, 3: 0, 2: 0, 1: 0 };
+    reviews.forEach((review) => {
+      distribution[review.rating] += 1;
+    });
+
+    return {
+      rate: count > 0 ? (apiTotal + localTotal) / count : 0,
+      count,
+      localCount: reviews.length,
+      distribution,
+    };
+  }
+}
+
+/**
+ * Seção de avaliações da página do produto: resumo, lista e formulário
+ */
+class ReviewSection {
+  /**
+   * @param {HTMLElement} container - Elemento onde a seção é exibida
+   * @param {Object} options - Serviço de avaliações, renderizador e app (erros e notificações)
+   */
+  constructor(container, { reviewService, productRenderer, app }) {
+    this.container = container;
+    this.reviewService = reviewService;
+    this.productRenderer = productRenderer;
+    this.app = app;
+    this.product = null;
+    this.sort = 'recentes';
+    this.elements = {};
+  }
+
+  /**
+   * Exibir avaliações de um produto
+   * @param {Object} product - Produto normalizado
+   */
+  async mount(product) {
+    this.product = product;
+
+    const sortOptions = Object.entries(this.reviewService.sortOptions)
+      .map(([value, option]) => `<option value="${value}">${option.label}</option>`)
+      .join('');
+
+    this.container.innerHTML = `
+            <h2>Avaliações dos clientes</h2>
+            <div class="avaliacoes-resumo"></div>
+            <div class="avaliacoes-lista-cabecalho">
+                <label for="ordenacao-avaliacoes">Ordenar por:</label>
+                <select id="ordenacao-avaliacoes">${sortOptions}</select>
+            </div>
+            <ul class="avaliacoes-lista" aria-live="polite"></ul>
+            <form class="formulario-avaliacao" novalidate>
+                <h3>Escreva sua avaliação</h3>
+                <div class="campo">
+                    <fieldset id="avaliacao-nota" class="avaliacao-estrelas">
+                        <legend>Sua nota:</legend>
+                        ${[5, 4, 3, 2, 1]
+                          .map(
+                            (stars) => `
+                        <label>
+                            <input type="radio" name="nota" value="${stars}">
+                            ${'★'.repeat(stars)}<span class="sr-only"> ${stars} de 5</span>
+                        </label>`
+                          )
+                          .join('')}
+                    </fieldset>
+                </div>
+                <div class="campo">
+                    <label for="avaliacao-nome">Nome:</label>
+                    <input type="text" id="avaliacao-nome" name="nome" autocomplete="name">
+                </div>
+                <div class="campo">
+                    <label for="avaliacao-texto">Comentário:</label>
+                    <textarea id="avaliacao-texto" name="texto" rows="4" maxlength="${
+                      this.reviewService.limits.textMax
+                    }"></textarea>
+                </div>
+                <button type="submit" class="btn-enviar">Enviar avaliação</button>
+            </form>
+        `;
+
+    this.elements = {
+      summary: this.container.querySelector('.avaliacoes-resumo'),
+      list: this.container.querySelector('.avaliacoes-lista'),
+      form: this.container.querySelector('.formulario-avaliacao'),
+      sortSelect: this.container.querySelector('#ordenacao-avaliacoes'),
+    };
+
+    this.elements.sortSelect.addEventListener('change', (e) => {
+      this.sort = e.target.value;
+      this.render();
+    });
+    this.elements.form.addEventListener('submit', (e) => this.handleSubmit(e));
+    this.elements.form.addEventListener('input', (e) => {
+      const field = e.target.type === 'radio' ? e.target.closest('fieldset') : e.target;
+      this.app.clearFieldError(field);
+    });
+
+    this.container.hidden = false;
+    await this.render();
+  }
+
+  /**
+   * Validar e enviar o formulário
+   * @param {Event} event - Evento de submit
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { form } = this.elements;
+    const data = {
+      name: form.elements.nome.value,
+      rating: form.querySelector('input[name="nota"]:checked')?.value,
+      text: form.elements.texto.value,
+    };
+
+    if (!this.showErrors(this.reviewService.validate(data))) return;
+
+    try {
+      await this.reviewService.addReview(this.product.key, data);
+      form.reset();
+      this.app.showNotification('⭐ Obrigado pela sua avaliação!', 'success');
+      await this.render();
+    } catch (error) {
+      console.error('Erro ao enviar avaliação:', error);
+      this.app.showNotification(`❌ ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Exibir erros nos campos com os mesmos auxiliares do formulário de contato
+   * @param {Object} errors - Mensagens por campo
+   * @returns {boolean} - Se o formulário é válido
+   */
+  showErrors(errors) {
+    const fields = {
+      rating: this.container.querySelector('#avaliacao-nota'),
+      name: this.container.querySelector('#avaliacao-nome'),
+      text: this.container.querySelector('#avaliacao-texto'),
+    };
+    let firstInvalid = null;
+
+    Object.entries(fields).forEach(([name, field]) => {
+      this.app.clearFieldError(field);
+      if (errors[name]) {
+        this.app.showFieldError(field, errors[name]);
+        firstInvalid = firstInvalid || field;
+      }
+    });
+
+    if (firstInvalid) {
+      (firstInvalid.querySelector?.('input') || firstInvalid).focus();
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * Renderizar resumo e lista de avaliações
+   */
+  async render() {
+    const reviews = await this.reviewService.getReviews(
+      this.product.key,
+      this.sort
+    );
+    const aggregate = this.reviewService.aggregate(
+      this.product.rating,
+      reviews
+    );
+
+    this.renderSummary(aggregate);
+    this.renderList(reviews);
+
+    // Manter o resumo do topo da página com a média combinada
+    const detailSummary = document.querySelector(
+      '.produto-detalhe .avaliacao-resumo'
+    );
+    if (detailSummary) {
+      detailSummary.outerHTML =
+        this.productRenderer.createRatingSummary(aggregate);
+    }
+  }
+
+  /**
+   * Renderizar média combinada e distribuição das notas locais
+   * @param {Object} aggregate - Resultado de ReviewService.aggregate
+   */
+  renderSummary(aggregate) {
+    const { summary } = this.elements;
+    const apiCount = aggregate.count - aggregate.localCount;
+
+    const bars = [5, 4, 3, 2, 1]
+      .map((stars) => {
+        const amount = aggregate.distribution[stars];
+        const percent =
+          aggregate.localCount > 0 ? (amount / aggregate.localCount) * 100 : 0;
+
+        return `
+                <div class="avaliacao-barra">
+                    <span>${stars} ★</span>
+                    <div class="avaliacao-barra-trilho"><div style="width: ${percent}%"></div></div>
+                    <span>${amount}</span>
+                </div>`;
+      })
+      .join('');
+
+    summary.innerHTML = `
+            ${this.productRenderer.createRatingSummary(aggregate)}
+            <p class="avaliacoes-origem">${apiCount} avaliação(ões) da loja parceira e ${
+              aggregate.localCount
+            } de clientes GameStore</p>
+            ${aggregate.localCount > 0 ? bars : ''}
+        `;
+  }
+
+  /**
+   * Renderizar lista de avaliações locais
+   * @param {Array} reviews - Avaliações ordenadas
+   */
+  renderList(reviews) {
+    const { list } = this.elements;
+    list.innerHTML = '';
+
+    if (reviews.length === 0) {
+      list.innerHTML =
+        '<li class="avaliacoes-vazio">Seja o primeiro a avaliar este produto.</li>';
+      return;
+    }
+
+    reviews.forEach((review) => {
+      const li = document.createElement('li');
+      li.className = 'avaliacao-item';
+      li.innerHTML = `
+                <div class="avaliacao-item-cabecalho">
+                    <span class="stars" aria-label="${review.rating} de 5"></span>
+                    <strong></strong>
+                    <time datetime="${review.createdAt}">${new Date(
+                      review.createdAt
+                    ).toLocaleDateString('pt-BR')}</time>
+                </div>
+                <p></p>
+            `;
+      li.querySelector('.stars').textContent =
+        this.productRenderer.createRatingStars(review.rating);
+      li.querySelector('strong').textContent = review.name;
+      li.querySelector('p').textContent = review.text;
+      list.appendChild(li);
+    });
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    LocalReviewStorage,
+    MemoryReviewStorage,
+    ReviewService,
+    ReviewSection,
+  };
+}
@@ -9,7 +9,7 @@
  */
 class GameStoreManager {
     constructor() {
-        this.cartCounter = 0;
+        this.cart = new CartStore();
         this.isDarkMode = false;
         this.isInitialized = false;
         
@@ -17,7 +17,9 @@ class GameStoreManager {
         this.config = {
             animationDelay: 200,
             notificationDuration: 3000,
-            clockUpdateInterval: 1000
+            clockUpdateInterval: 1000,
+            addressProvider: 'viacep',
+            searchMinLength: 2
         };
 
         // Elementos DOM cachados
@@ -47,9 +49,13 @@ class GameStoreManager {
             this.cacheElements();
             this.setupDateTime();
             this.setupShoppingCart();
+            this.setupWishlist();
+            this.setupComparison();
             this.setupThemeToggle();
+            this.setupCurrencySelector();
             this.setupSearchFunctionality();
             this.setupProductDetails();
+            this.setupReviews();
             this.setupContactForm();
             this.addCustomStyles();
             
@@ -150,8 +156,38 @@ class GameStoreManager {
      * Configurar funcionalidades do carrinho
      */
     setupShoppingCart() {
+        const { currencyService } = dataLoader.productRenderer;
+        this.cart.setPriceConverter((amount, currency) => currencyService.convert(amount, currency));
+        currencyService.subscribe(() => this.cart.notify());
+        this.cart.setCategoryResolver((item) => {
+            const product = dataLoader.productRepository.get(ProductRepository.createKey(item.source, item.id))
+                || dataLoader.apiManager.findCachedProduct(item.id);
+            return product?.category;
+        });
+
+        this.pricing = new PricingRules(this.cart, currencyService);
+        dataLoader.apiManager.fetchCoupons().then((config) => this.pricing.setCoupons(config));
+
         this.createCartCounter();
+        this.setupCheckout();
         this.bindPurchaseEvents();
+        this.cart.subscribe(() => this.updateCartDisplay());
+    }
+
+    /**
+     * Configurar fluxo de checkout a partir do carrinho
+     */
+    setupCheckout() {
+        this.checkout = new CheckoutFlow(this, {
+            currencyService: dataLoader.productRenderer.currencyService,
+            pricing: this.pricing,
+            addressProvider: createAddressProvider(this.config.addressProvider)
+        });
+        this.checkout.mount();
+
+        if (this.cartDrawer) {
+            this.cartDrawer.onCheckout = () => this.checkout.open();
+        }
     }
 
     /**
@@ -160,16 +196,20 @@ class GameStoreManager {
     createCartCounter() {
         if (!this.elements.header) return;
 
-        const cartCounter = this.createElement('div', {
+        const cartCounter = this.createElement('button', {
+            type: 'button',
             id: 'contador-carrinho',
             className: 'cart-counter',
             innerHTML: '🛒 Carrinho: <span id="numero-carrinho">0</span>',
+            'aria-haspopup': 'dialog',
             styles: {
                 position: 'absolute',
                 top: '10px',
                 right: '20px',
                 background: '#e74c3c',
                 color: 'white',
+                border: 'none',
+                cursor: 'pointer',
                 padding: '0.5rem 1rem',
                 borderRadius: '20px',
                 fontWeight: 'bold',
@@ -183,6 +223,10 @@ class GameStoreManager {
         this.elements.header.appendChild(cartCounter);
         this.elements.cartCounter = cartCounter;
         this.elements.cartNumber = document.getElementById('numero-carrinho');
+
+        this.cartDrawer = new CartDrawer(this.cart, dataLoader.productRenderer.currencyService, this.pricing);
+        this.cartDrawer.onNotify = (message, type) => this.showNotification(message, type);
+        this.cartDrawer.mount(cartCounter);
     }
 
     /**
@@ -227,57 +271,30 @@ class GameStoreManager {
      */
     handlePurchaseClick(event) {
         const button = event.target;
-        const productCard = button.closest('.jogo, .produto-api');
-        
-        if (!productCard) return;
+        const productCard = button.closest('.jogo, .produto-api, .produto-detalhe');
+        const product = dataLoader.productRepository.findByElement(productCard);
 
-        const productInfo = this.extractProductInfo(productCard);
-        
-        if (this.showPurchaseConfirmation(productInfo)) {
-            this.addToCart(productInfo);
-            this.showSuccessNotification(productInfo.name);
-            this.addPurchaseAnimation(button);
+        if (!product) {
+            console.warn('Produto não encontrado para o card:', productCard);
+            return;
         }
-    }
 
-    /**
-     * Extrair informações do produto
-     * @param {HTMLElement} productCard - Card do produto
-     * @returns {Object} - Informações do produto
-     */
-    extractProductInfo(productCard) {
-        const nameElement = productCard.querySelector('h3');
-        const priceElement = productCard.querySelector('.preco');
-        const imageElement = productCard.querySelector('img');
+        // A página do produto permite escolher a quantidade
+        const quantityInput = productCard.querySelector('.quantidade-produto');
+        const quantity = quantityInput ? Number(quantityInput.value) || 1 : 1;
 
-        return {
-            name: nameElement?.textContent || 'Produto',
-            price: priceElement?.textContent || 'Preço não disponível',
-            image: imageElement?.src || '',
-            id: productCard.dataset?.productId || Date.now()
-        };
-    }
-
-    /**
-     * Mostrar confirmação de compra
-     * @param {Object} productInfo - Informações do produto
-     * @returns {boolean} - Se a compra foi confirmada
-     */
-    showPurchaseConfirmation(productInfo) {
-        const message = `🎮 Adicionar "${productInfo.name}" ao carrinho?\n💰 Preço: ${productInfo.price}\n\n✅ Confirmar compra?`;
-        return confirm(message);
+        this.addToCart(product, quantity);
+        this.showSuccessNotification(product.title);
+        this.addPurchaseAnimation(button);
     }
 
     /**
      * Adicionar produto ao carrinho
-     * @param {Object} productInfo - Informações do produto
+     * @param {Object} product - Produto normalizado
+     * @param {number} quantity - Quantidade a adicionar
      */
-    addToCart(productInfo) {
-        this.cartCounter++;
-        this.updateCartDisplay();
-        
-        // Salvar no localStorage (persistência)
-        this.saveCartToStorage();
+    addToCart(product, quantity = 1) {
+        this.cart.addItem(product, quantity);
     }
 
     /**
@@ -285,7 +302,7 @@ class GameStoreManager {
      */
     updateCartDisplay() {
         if (this.elements.cartNumber) {
-            this.elements.cartNumber.textContent = this.cartCounter;
+            this.elements.cartNumber.textContent = this.cart.getItemCount();
             
             // Animação do contador
             this.elements.cartNumber.style.transform = 'scale(1.3)';
@@ -296,28 +313,131 @@ class GameStoreManager {
     }
 
     /**
-     * Salvar carrinho no localStorage
+     * Carregar carrinho do localStorage
      */
-    saveCartToStorage() {
-        try {
-            localStorage.setItem('gamestore_cart_count', this.cartCounter.toString());
-        } catch (error) {
-            console.warn('Não foi possível salvar o carrinho:', error);
+    loadCartFromStorage() {
+        this.cart.load();
+        this.updateCartDisplay();
+    }
+
+    // ========================================
+    // FUNCIONALIDADE: FAVORITOS
+    // ========================================
+
+    /**
+     * Configurar favoritos: corações dos cards, contador e página de favoritos
+     */
+    setupWishlist() {
+        this.wishlist = dataLoader.productRenderer.wishlist;
+
+        this.createWishlistCounter();
+        document.addEventListener('click', (e) => this.handleWishlistClick(e));
+
+        const wishlistContainer = document.getElementById('lista-favoritos');
+        if (wishlistContainer) {
+            this.wishlistView = new WishlistView(wishlistContainer, {
+                wishlist: this.wishlist,
+                cart: this.cart,
+                productRenderer: dataLoader.productRenderer,
+                onNotify: (message, type) => this.showNotification(message, type)
+            });
+            this.wishlistView.mount();
         }
+
+        this.wishlist.subscribe(() => this.updateWishlistDisplay());
+        this.updateWishlistDisplay();
     }
 
     /**
-     * Carregar carrinho do localStorage
+     * Criar contador de favoritos ao lado do carrinho
      */
-    loadCartFromStorage() {
-        try {
-            const savedCount = localStorage.getItem('gamestore_cart_count');
-            if (savedCount) {
-                this.cartCounter = parseInt(savedCount, 10) || 0;
-                this.updateCartDisplay();
-            }
-        } catch (error) {
-            console.warn('Não foi possível carregar o carrinho:', error);
+    createWishlistCounter() {
+        if (!this.elements.header) return;
+
+        const wishlistCounter = this.createElement('a', {
+            id: 'contador-favoritos',
+            href: 'favoritos.html',
+            innerHTML: '♥ Favoritos: <span id="numero-favoritos">0</span>'
+        });
+
+        this.elements.header.style.position = 'relative';
+        this.elements.header.appendChild(wishlistCounter);
+        this.elements.wishlistNumber = document.getElementById('numero-favoritos');
+    }
+
+    /**
+     * Alternar favorito ao clicar no coração de um card
+     * @param {Event} event - Evento de clique
+     */
+    handleWishlistClick(event) {
+        const button = event.target.closest('.btn-favorito');
+        if (!button) return;
+
+        const card = button.closest('[data-product-key]');
+        const product = dataLoader.productRepository.findByElement(card);
+
+        if (!product) {
+            console.warn('Produto não encontrado para o card:', card);
+            return;
+        }
+
+        const isSaved = this.wishlist.toggle(product);
+        this.showNotification(
+            isSaved ? `♥ ${product.title} adicionado aos favoritos!` : `${product.title} removido dos favoritos.`,
+            isSaved ? 'success' : 'info'
+        );
+    }
+
+    /**
+     * Atualizar exibição do contador de favoritos
+     */
+    updateWishlistDisplay() {
+        if (this.elements.wishlistNumber) {
+            this.elements.wishlistNumber.textContent = this.wishlist.getCount();
+        }
+    }
+
+    // ========================================
+    // FUNCIONALIDADE: COMPARAÇÃO DE PRODUTOS
+    // ========================================
+
+    /**
+     * Configurar seleção de produtos e tabela de comparação
+     */
+    setupComparison() {
+        this.comparison = dataLoader.productRenderer.comparison;
+
+        this.comparisonView = new ComparisonView(this.comparison, dataLoader.productRenderer);
+        this.comparisonView.mount();
+
+        document.addEventListener('change', (e) => this.handleCompareChange(e));
+    }
+
+    /**
+     * Marcar ou desmarcar produto para comparação
+     * @param {Event} event - Evento de alteração
+     */
+    handleCompareChange(event) {
+        const checkbox = event.target.closest('.comparar-checkbox');
+        if (!checkbox) return;
+
+        const card = checkbox.closest('[data-product-key]');
+        const product = dataLoader.productRepository.findByElement(card);
+
+        if (!product) {
+            console.warn('Produto não encontrado para o card:', card);
+            checkbox.checked = false;
+            return;
+        }
+
+        if (!checkbox.checked) {
+            this.comparison.remove(product.key);
+            return;
+        }
+
+        if (!this.comparison.add(product)) {
+            checkbox.checked = false;
+            this.showNotification(`⚠️ Você pode comparar até ${this.comparison.maxItems} produtos!`, 'warning');
         }
     }
 
@@ -474,6 +594,70 @@ class GameStoreManager {
         }
     }
 
+    // ========================================
+    // FUNCIONALIDADE: MOEDA DE EXIBIÇÃO
+    // ========================================
+
+    /**
+     * Configurar seletor de moeda e atualizar cotações
+     */
+    setupCurrencySelector() {
+        const { currencyService } = dataLoader.productRenderer;
+
+        this.createCurrencySelector(currencyService);
+        currencyService.subscribe(() => this.updateCurrencySelector(currencyService));
+        currencyService.refreshRates();
+    }
+
+    /**
+     * Criar seletor de moeda no cabeçalho
+     * @param {CurrencyService} currencyService - Serviço de moeda
+     */
+    createCurrencySelector(currencyService) {
+        const navigation = document.querySelector('header nav');
+        if (!navigation) return;
+
+        const currencySelect = this.createElement('select', {
+            id: 'seletor-moeda',
+            'aria-label': 'Moeda de exibição dos preços',
+            innerHTML: Object.entries(currencyService.currencies)
+                .map(([code, label]) => `<option value="${code}">${label}</option>`)
+                .join(''),
+            styles: {
+                marginLeft: '1rem',
+                padding: '0.5rem',
+                border: '1px solid #ddd',
+                borderRadius: '20px',
+                fontSize: '0.9rem'
+            }
+        });
+
+        currencySelect.addEventListener('change', (e) => {
+            currencyService.setDisplayCurrency(e.target.value);
+        });
+
+        navigation.appendChild(currencySelect);
+        this.elements.currencySelect = currencySelect;
+        this.updateCurrencySelector(currencyService);
+    }
+
+    /**
+     * Atualizar moeda selecionada e data da cotação no seletor
+     * @param {CurrencyService} currencyService - Serviço de moeda
+     */
+    updateCurrencySelector(currencyService) {
+        const { currencySelect } = this.elements;
+        if (!currencySelect) return;
+
+        const { fetchedAt, isStale } = currencyService.getRatesInfo();
+        const updatedAt = fetchedAt
+            ? new Date(fetchedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' })
+            : 'cotação padrão';
+
+        currencySelect.value = currencyService.getDisplayCurrency();
+        currencySelect.title = `Cotação de ${updatedAt}${isStale ? ' (desatualizada)' : ''}`;
+    }
+
     // ========================================
     // FUNCIONALIDADE: PESQUISA
     // ========================================
@@ -482,20 +666,38 @@ class GameStoreManager {
      * Configurar funcionalidade de pesquisa
      */
     setupSearchFunctionality() {
+        this.searchIndex = new SearchIndex();
+        this.searchResultsView = new SearchResultsView(
+            dataLoader.productRenderer,
+            () => dataLoader.setCatalogQuery('')
+        );
         this.createSearchField();
+        this.runSearchFromUrl();
+
+        // Voltar/avançar reabre ou fecha a pesquisa conforme a URL
+        window.addEventListener('popstate', () => this.runSearchFromUrl());
     }
 
     /**
-     * Criar campo de pesquisa
+     * Criar campo de pesquisa com sugestões
      */
     createSearchField() {
         const navigation = document.querySelector('header nav');
         if (!navigation || document.getElementById('campo-pesquisa')) return;
 
+        const searchContainer = this.createElement('div', {
+            className: 'pesquisa-container',
+            styles: {
+                position: 'relative',
+                display: 'inline-block'
+            }
+        });
+
         const searchInput = this.createElement('input', {
             type: 'text',
             id: 'campo-pesquisa',
             placeholder: 'Pesquisar jogos...',
+            'aria-label': 'Pesquisar produtos',
             styles: {
                 marginLeft: '1rem',
                 padding: '0.5rem',
@@ -507,12 +709,6 @@ class GameStoreManager {
             }
         });
 
-        searchInput.addEventListener('keyup', (e) => {
-            if (e.key === 'Enter') {
-                this.performSearch(e.target.value);
-            }
-        });
-
         searchInput.addEventListener('focus', () => {
             searchInput.style.borderColor = '#3498db';
             searchInput.style.boxShadow = '0 0 0 2px rgba(52, 152, 219, 0.2)';
@@ -523,24 +719,101 @@ class GameStoreManager {
             searchInput.style.boxShadow = 'none';
         });
 
-        navigation.appendChild(searchInput);
+        searchContainer.appendChild(searchInput);
+        navigation.appendChild(searchContainer);
+
+        this.searchSuggestions = new SearchSuggestions(searchInput, {
+            searchIndex: this.searchIndex,
+            loadProducts: () => dataLoader.loadSearchableProducts(),
+            onSelectProduct: (product) => this.goToProduct(product),
+            onSubmitQuery: (term) => this.submitSearch(term)
+        });
+        this.searchSuggestions.mount();
+    }
+
+    /**
+     * Enviar pesquisa completa: na página de produtos exibe os resultados,
+     * nas demais abre a página de produtos com o termo
+     * @param {string} searchTerm - Termo de pesquisa
+     * @returns {boolean} - Se o termo foi aceito
+     */
+    submitSearch(searchTerm) {
+        if (!this.validateSearchTerm(searchTerm)) return false;
+
+        if (dataLoader.getCurrentPage() === 'produtos') {
+            dataLoader.setCatalogQuery(searchTerm);
+            this.performSearch(searchTerm);
+        } else {
+            window.location.href = `produtos.html?busca=${encodeURIComponent(searchTerm)}`;
+        }
+
+        return true;
+    }
+
+    /**
+     * Executar (ou fechar) a pesquisa conforme o parâmetro "busca" da URL
+     */
+    runSearchFromUrl() {
+        const searchTerm = CatalogUrlState.parse().query;
+        const searchInput = document.getElementById('campo-pesquisa');
+        if (searchInput) searchInput.value = searchTerm;
+
+        if (!searchTerm) {
+            this.searchRequest?.abort();
+            this.searchResultsView.close();
+            return;
+        }
+
+        this.performSearch(searchTerm);
+    }
+
+    /**
+     * Levar o usuário até o card do produto escolhido
+     * @param {Object} product - Produto normalizado
+     */
+    goToProduct(product) {
+        this.searchResultsView.close();
+
+        const card = document.querySelector(`[data-product-key="${product.key}"]`);
+
+        if (!card) {
+            window.location.href = dataLoader.productRenderer.getProductUrl(product)
+                || `produtos.html?busca=${encodeURIComponent(product.title)}`;
+            return;
+        }
+
+        if (dataLoader.catalogQuery) dataLoader.setCatalogQuery('');
+
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('produto-destacado');
+        card.setAttribute('tabindex', '-1');
+        card.focus({ preventScroll: true });
+
+        setTimeout(() => card.classList.remove('produto-destacado'), 2000);
     }
 
     /**
-     * Realizar pesquisa
+     * Realizar pesquisa no catálogo
      * @param {string} searchTerm - Termo de pesquisa
      */
-    performSearch(searchTerm) {
+    async performSearch(searchTerm) {
         if (!this.validateSearchTerm(searchTerm)) return;
 
-        const gamesList = [
-            'FIFA 24', 'Call of Duty', 'Minecraft', 'GTA V', 
-            'Fortnite', 'Cyberpunk 2077', 'The Witcher 3',
-            'Red Dead Redemption 2', 'Assassin\'s Creed'
-        ];
+        // Uma nova pesquisa substitui a anterior que ainda esteja carregando
+        this.searchRequest?.abort();
+        this.searchRequest = new AbortController();
 
-        const results = this.filterGames(gamesList, searchTerm);
-        this.displaySearchResults(results, searchTerm);
+        try {
+            const products = await dataLoader.loadSearchableProducts({ signal: this.searchRequest.signal });
+            this.searchIndex.build(products);
+
+            const results = this.searchIndex.search(searchTerm.trim());
+            this.searchResultsView.render(results.map(result => result.product), searchTerm.trim());
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Erro ao pesquisar produtos:', error);
+            this.showNotification('❌ Não foi possível realizar a pesquisa!', 'error');
+        }
     }
 
     /**
@@ -556,40 +829,14 @@ class GameStoreManager {
             return false;
         }
 
-        if (trimmedTerm.length < 3) {
-            this.showNotification('⚠️ Digite pelo menos 3 caracteres para pesquisar!', 'warning');
+        if (trimmedTerm.length < this.config.searchMinLength) {
+            this.showNotification(`⚠️ Digite pelo menos ${this.config.searchMinLength} caracteres para pesquisar!`, 'warning');
             return false;
         }
 
         return true;
     }
 
-    /**
-     * Filtrar jogos baseado no termo
-     * @param {Array} games - Lista de jogos
-     * @param {string} term - Termo de pesquisa
-     * @returns {Array} - Jogos filtrados
-     */
-    filterGames(games, term) {
-        return games.filter(game => 
-            game.toLowerCase().includes(term.toLowerCase())
-        );
-    }
-
-    /**
-     * Exibir resultados da pesquisa
-     * @param {Array} results - Resultados encontrados
-     * @param {string} searchTerm - Termo pesquisado
-     */
-    displaySearchResults(results, searchTerm) {
-        if (results.length > 0) {
-            const message = `🎮 Encontrados ${results.length} jogo(s) para "${searchTerm}":\n\n${results.join('\n')}`;
-            this.showNotification(message, 'success');
-        } else {
-            this.showNotification(`😞 Nenhum jogo encontrado para "${searchTerm}"!`, 'info');
-        }
-    }
-
     // ========================================
     // FUNCIONALIDADE: DETALHES DOS PRODUTOS
     // ========================================
@@ -598,141 +845,31 @@ class GameStoreManager {
      * Configurar detalhes expandíveis dos produtos
      */
     setupProductDetails() {
-        this.addDetailsToExistingProducts();
-    }
-
-    /**
-     * Adicionar detalhes aos produtos existentes
-     */
-    addDetailsToExistingProducts() {
-        const localProducts = document.querySelectorAll('.jogo:not(.produto-api)');
-        
-        localProducts.forEach((product, index) => {
-            this.addProductDetailsSection(product, index);
-        });
-    }
-
-    /**
-     * Adicionar seção de detalhes a um produto
-     * @param {HTMLElement} productElement - Elemento do produto
-     * @param {number} index - Índice do produto
-     */
-    addProductDetailsSection(productElement, index) {
-        const detailsButton = this.createElement('button', {
-            className: 'btn-detalhes',
-            textContent: 'Ver Detalhes',
-            styles: {
-                background: '#95a5a6',
-                color: 'white',
-                border: 'none',
-                padding: '0.5rem 1rem',
-                margin: '0.3rem',
-                borderRadius: '3px',
-                cursor: 'pointer',
-                transition: 'all 0.3s ease'
-            }
+        // Abrir os detalhes conta como visualização do produto
+        ProductDetails.mount(document, (button) => {
+            const card = button.closest('[data-product-key]');
+            if (card) dataLoader.recentlyViewed.record(card.dataset.productKey);
         });
-
-        const detailsSection = this.createElement('div', {
-            className: 'detalhes-jogo',
-            innerHTML: this.getProductDetails(index),
-            styles: {
-                display: 'none',
-                marginTop: '1rem',
-                padding: '1rem',
-                background: 'rgba(52, 152, 219, 0.05)',
-                borderLeft: '4px solid #3498db',
-                borderRadius: '0 8px 8px 0',
-                fontSize: '0.9rem'
-            }
-        });
-
-        detailsButton.addEventListener('click', () => {
-            this.toggleProductDetails(detailsSection, detailsButton);
-        });
-
-        productElement.appendChild(detailsButton);
-        productElement.appendChild(detailsSection);
     }
 
-    /**
-     * Alternar visibilidade dos detalhes
-     * @param {HTMLElement} detailsSection - Seção de detalhes
-     * @param {HTMLElement} button - Botão de alternância
-     */
-    toggleProductDetails(detailsSection, button) {
-        const isVisible = detailsSection.style.display !== 'none';
-
-        if (isVisible) {
-            detailsSection.style.display = 'none';
-            button.textContent = 'Ver Detalhes';
-        } else {
-            detailsSection.style.display = 'block';
-            button.textContent = 'Ocultar Detalhes';
-            detailsSection.classList.add('fade-in');
-        }
-    }
+    // ========================================
+    // FUNCIONALIDADE: AVALIAÇÕES DE CLIENTES
+    // ========================================
 
     /**
-     * Obter detalhes do produto baseado no índice
-     * @param {number} index - Índice do produto
-     * @returns {string} - HTML dos detalhes
+     * Configurar avaliações na página do produto
      */
-    getProductDetails(index) {
-        const productDetails = [
-            {
-                genre: 'Esportes',
-                mode: 'Single/Multiplayer',
-                size: '50GB',
-                rating: '4.5/5',
-                features: 'Ultimate Team, Career Mode, Volta Football'
-            },
-            {
-                genre: 'FPS/Ação',
-                mode: 'Multiplayer',
-                size: '80GB',
-                rating: '4.7/5',
-                features: 'Warzone, Multiplayer, Campanha'
-            },
-            {
-                genre: 'Sandbox',
-                mode: 'Single/Multiplayer',
-                size: '1GB',
-                rating: '4.8/5',
-                features: 'Modo Criativo, Sobrevivência, Redstone'
-            },
-            {
-                genre: 'Ação/Aventura',
-                mode: 'Single/Multiplayer',
-                size: '95GB',
-                rating: '4.6/5',
-                features: 'Mundo Aberto, GTA Online, Mods'
-            },
-            {
-                genre: 'Battle Royale',
-                mode: 'Multiplayer',
-                size: '30GB',
-                rating: '4.3/5',
-                features: 'Battle Royale, Modo Criativo, Eventos'
-            },
-            {
-                genre: 'RPG',
-                mode: 'Single Player',
-                size: '70GB',
-                rating: '4.2/5',
-                features: 'Mundo Aberto, Customização, História Ramificada'
-            }
-        ];
-
-        const details = productDetails[index] || productDetails[0];
+    setupReviews() {
+        const container = document.getElementById('avaliacoes');
+        if (!container) return;
+
+        this.reviewSection = new ReviewSection(container, {
+            reviewService: new ReviewService(new LocalReviewStorage()),
+            productRenderer: dataLoader.productRenderer,
+            app: this
+        });
 
-        return `
-            <strong>🎮 Gênero:</strong> ${details.genre}<br>
-            <strong>👥 Modo:</strong> ${details.mode}<br>
-            <strong>💾 Tamanho:</strong> ${details.size}<br>
-            <strong>⭐ Avaliação:</strong> ${details.rating}<br>
-            <strong>🎯 Características:</strong> ${details.features}
-        `;
+        dataLoader.onProductLoaded((product) => this.reviewSection.mount(product));
     }
 
     // ========================================
@@ -1132,10 +1269,14 @@ class GameStoreManager {
      */
     clearAllData() {
         try {
-            localStorage.removeItem('gamestore_cart_count');
+            this.cart.clear();
+            this.wishlist.clear();
+            dataLoader.recentlyViewed.clear();
+            this.comparison.clear();
+            this.pricing.removeCoupon();
+            localStorage.removeItem('gamestore_reviews');
+            dataLoader.invalidateCache();
             localStorage.removeItem('gamestore_theme');
-            this.cartCounter = 0;
-            this.updateCartDisplay();
             this.showNotification('✅ Dados limpos com sucesso!', 'success');
         } catch (error) {
             console.error('Erro ao limpar dados:', error);
@@ -1175,23 +1316,6 @@ function initializeGameStore() {
 }
 
 // Expor funções globais necessárias
-window.toggleProductDetails = function(productId) {
-    const detailsElement = document.getElementById(`detalhes-${productId}`);
-    const button = document.querySelector(`button[onclick="toggleProductDetails(${productId})"]`);
-    
-    if (detailsElement && button) {
-        if (detailsElement.style.display === 'none') {
-            detailsElement.style.display = 'block';
-            button.textContent = 'Ocultar Detalhes';
-            detailsElement.classList.add('fade-in');
-        } else {
-            detailsElement.style.display = 'none';
-            button.textContent = 'Ver Detalhes';
-            detailsElement.classList.remove('fade-in');
-        }
-    }
-};
-
 window.clearGameStoreData = function() {
     if (gameStoreApp) {
         gameStoreApp.clearAllData();
@@ -1206,7 +1330,7 @@ window.clearGameStoreData = function() {
 PRINCÍPIOS DE CLEAN CODE APLICADOS NESTE PROJETO:
 
 1. **NOMES SIGNIFICATIVOS**
-   - Variáveis: `cartCounter`, `isDarkMode`, `productInfo`
+   - Variáveis: `cart`, `isDarkMode`, `product`
    - Funções: `setupShoppingCart()`, `validateSearchTerm()`, `showSuccessNotification()`
    - Classes: `GameStoreManager`, `ApiManager`, `ProductRenderer`
 
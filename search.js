@@ -0,0 +1,658 @@
+// ========================================
+// GAMESTORE - PESQUISA NO CATÁLOGO
+// ========================================
+
+/**
+ * Índice de pesquisa sobre os produtos normalizados
+ * Ignora acentos e tolera erros de digitação
+ */
+class SearchIndex {
+  constructor() {
+    this.entries = [];
+
+    // Peso de cada campo na relevância do resultado
+    this.fieldWeights = {
+      title: 3,
+      category: 2,
+      description: 1,
+    };
+  }
+
+  /**
+   * Normalizar texto: minúsculas, sem acentos e sem pontuação
+   * @param {string} text - Texto original
+   * @returns {string} - Texto normalizado
+   */
+  static normalize(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Separar texto normalizado em palavras
+   * @param {string} text - Texto original
+   * @returns {Array<string>} - Palavras
+   */
+  static tokenize(text) {
+    const normalized = SearchIndex.normalize(text);
+    return normalized ? normalized.split(' ') : [];
+  }
+
+  /**
+   * Calcular distância de edição entre duas palavras
+   * @param {string} a - Primeira palavra
+   * @param {string} b - Segunda palavra
+   * @returns {number} - Número mínimo de edições
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + cost
+        );
+      }
+      previous = current;
+    }
+
+    return previous[b.length];
+  }
+
+  /**
+   * Construir o índice a partir dos produtos
+   * @param {Array} products - Produtos normalizados
+   */
+  build(products) {
+    this.entries = products.map((product) => ({
+      product,
+      title: SearchIndex.normalize(product.title),
+      fields: {
+        title: SearchIndex.tokenize(product.title),
+        category: SearchIndex.tokenize(
+          `${product.category} ${ProductRepository.getCategoryLabel(
+            product.category
+          )}`
+        ),
+        description: SearchIndex.tokenize(product.description),
+      },
+    }));
+  }
+
+  /**
+   * Pesquisar produtos ordenados por relevância
+   * @param {string} query - Termo de pesquisa
+   * @param {number} limit - Quantidade máxima de resultados
+   * @returns {Array} - Resultados ({ product, score })
+   */
+  search(query, limit = 50) {
+    const queryTokens = SearchIndex.tokenize(query);
+    if (queryTokens.length === 0) return [];
+
+    const phrase = SearchIndex.normalize(query);
+
+    return this.entries
+      .map((entry) => ({
+        product: entry.product,
+        score: this.scoreEntry(entry, queryTokens, phrase),
+      }))
+      .filter((result) => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * Calcular relevância de um produto (todas as palavras devem combinar)
+   * @param {Object} entry - Entrada do índice
+   * @param {Array<string>} queryTokens - Palavras pesquisadas
+   * @param {string} phrase - Termo completo normalizado
+   * @returns {number} - Pontuação (0 quando não combina)
+   */
+  scoreEntry(entry, queryTokens, phrase) {
+    let total = 0;
+
+    for (const queryToken of queryTokens) {
+      let best = 0;
+
+      Object.entries(this.fieldWeights).forEach(([field, weight]) => {
+        const match = this.matchToken(queryToken, entry.fields[field]);
+        best = Math.max(best, match * weight);
+      });
+
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    // Bônus quando o termo completo aparece no título
+    if (entry.title.includes(phrase)) {
+      total += entry.title.startsWith(phrase) ? 3 : 2;
+    }
+
+    return total;
+  }
+
+  /**
+   * Comparar uma palavra pesquisada com as palavras de um campo
+   * @param {string} queryToken - Palavra pesquisada
+   * @param {Array<string>} tokens - Palavras do campo
+   * @returns {number} - Qualidade da melhor combinação (0 a 1)
+   */
+  matchToken(queryToken, tokens) {
+    const maxTypos = queryToken.length <= 3 ? 0 : queryToken.length <= 7 ? 1 : 2;
+    let best = 0;
+
+    for (const token of tokens) {
+      if (token === queryToken) return 1;
+
+      if (token.startsWith(queryToken)) {
+        best = Math.max(best, 0.8);
+      } else if (queryToken.length >= 3 && token.includes(queryToken)) {
+        best = Math.max(best, 0.6);
+      } else if (
+        maxTypos > 0 &&
+        Math.abs(token.length - queryToken.length) <= maxTypos
+      ) {
+        const distance = SearchIndex.editDistance(queryToken, token);
+        if (distance <= maxTypos) {
+          best = Math.max(best, 0.5 - (distance - 1) * 0.15);
+        }
+      }
+    }
+
+    return best;
+  }
+}
+
+/**
+ * Visão de resultados da pesquisa exibida no topo do conteúdo principal
+ */
+class SearchResultsView {
+  /**
+   * @param {ProductRenderer} productRenderer - Renderizador dos cards
+   * @param {Function} onDismiss - Chamada quando o usuário limpa a pesquisa
+   */
+  constructor(productRenderer, onDismiss = () => {}) {
+    this.productRenderer = productRenderer;
+    this.onDismiss = onDismiss;
+    this.section = null;
+    this.hiddenSections = [];
+  }
+
+  /**
+   * Exibir resultados da pesquisa
+   * @param {Array} products - Produtos encontrados
+   * @param {string} searchTerm - Termo pesquisado
+   */
+  render(products, searchTerm) {
+    const main = document.querySelector('main');
+    if (!main) return;
+
+    this.close();
+
+    const section = document.createElement('section');
+    section.id = 'resultados-pesquisa';
+    section.className = 'resultados-pesquisa';
+    section.setAttribute('aria-labelledby', 'resultados-titulo');
+    section.innerHTML = `
+            <div class="resultados-cabecalho">
+                <h2 id="resultados-titulo" tabindex="-1"></h2>
+                <button type="button" class="resultados-fechar">Limpar pesquisa</button>
+            </div>
+            <p class="resultados-contagem" aria-live="polite"></p>
+            <div class="produtos-grid"></div>
+        `;
+
+    section.querySelector('h2').textContent = `🔍 Resultados para "${searchTerm}"`;
+    section.querySelector('.resultados-contagem').textContent =
+      products.length > 0
+        ? `${products.length} produto(s) encontrado(s)`
+        : '😞 Nenhum produto encontrado. Tente outras palavras.';
+    section
+      .querySelector('.resultados-fechar')
+      .addEventListener('click', () => {
+        this.close();
+        this.onDismiss();
+      });
+
+    const grid = section.querySelector('.produtos-grid');
+    products.forEach((product, index) => {
+      const productElement = this.productRenderer.createProductElement(
+        product,
+        'featured'
+      );
+      productElement.style.animationDelay = `${index * 0.05}s`;
+      productElement.classList.add('fade-in');
+      grid.appendChild(productElement);
+    });
+
+    // Ocultar o restante da página enquanto os resultados estão abertos
+    this.hiddenSections = Array.from(main.children).filter(
+      (child) => !child.hidden
+    );
+    this.hiddenSections.forEach((child) => {
+      child.hidden = true;
+    });
+
+    main.prepend(section);
+    this.section = section;
+    section.querySelector('h2').focus();
+  }
+
+  /**
+   * Fechar resultados e restaurar o conteúdo da página
+   */
+  close() {
+    if (!this.section) return;
+
+    this.section.remove();
+    this.section = null;
+    this.hiddenSections.forEach((child) => {
+      child.hidden = false;
+    });
+    this.hiddenSections = [];
+  }
+}
+
+/**
+ * Sugestões de pesquisa enquanto o usuário digita (combobox acessível)
+ */
+class SearchSuggestions {
+  /**
+   * @param {HTMLInputElement} input - Campo de pesquisa
+   * @param {Object} options - Índice, carregamento de produtos e ações de seleção
+   */
+  constructor(input, options) {
+    this.input = input;
+    this.searchIndex = options.searchIndex;
+    this.loadProducts = options.loadProducts;
+    this.onSelectProduct = options.onSelectProduct;
+    this.onSubmitQuery = options.onSubmitQuery;
+
+    this.config = {
+      debounceDelay: 250,
+      minLength: 2,
+      maxSuggestions: 6,
+      maxRecentSearches: 5,
+    };
+    this.recentSearchesKey = 'gamestore_recent_searches';
+
+    this.options = [];
+    this.activeIndex = -1;
+    this.debounceTimer = null;
+    this.indexReady = null;
+    this.indexedCount = 0;
+    this.listbox = null;
+  }
+
+  /**
+   * Criar a lista de sugestões e vincular eventos do campo
+   */
+  mount() {
+    const listbox = document.createElement('ul');
+    listbox.id = 'sugestoes-pesquisa';
+    listbox.className = 'sugestoes-pesquisa';
+    listbox.setAttribute('role', 'listbox');
+    listbox.setAttribute('aria-label', 'Sugestões de pesquisa');
+    listbox.hidden = true;
+
+    this.input.setAttribute('role', 'combobox');
+    this.input.setAttribute('aria-autocomplete', 'list');
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.setAttribute('aria-controls', listbox.id);
+    this.input.setAttribute('autocomplete', 'off');
+
+    this.input.insertAdjacentElement('afterend', listbox);
+    this.listbox = listbox;
+
+    this.input.addEventListener('input', () => this.scheduleUpdate());
+    this.input.addEventListener('focus', () => this.update());
+    this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    this.input.addEventListener('blur', () => {
+      // Aguardar o clique em uma sugestão antes de fechar
+      setTimeout(() => this.close(), 150);
+    });
+
+    // mousedown evita que o campo perca o foco antes da seleção
+    listbox.addEventListener('mousedown', (e) => e.preventDefault());
+    listbox.addEventListener('click', (e) => {
+      const option = e.target.closest('[role="option"]');
+      if (option) this.select(Number(option.dataset.index));
+    });
+  }
+
+  /**
+   * Agendar atualização das sugestões (debounce)
+   */
+  scheduleUpdate() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(
+      () => this.update(),
+      this.config.debounceDelay
+    );
+  }
+
+  /**
+   * Garantir que o índice foi construído com os produtos carregados
+   * Os produtos são consultados a cada atualização: na primeira consulta o
+   * catálogo pode ainda estar carregando (ou a API fora do ar), então o
+   * índice é reconstruído sempre que a lista crescer
+   * @returns {Promise} - Promessa resolvida quando o índice estiver pronto
+   */
+  ensureIndex() {
+    if (!this.indexReady) {
+      this.indexReady = this.loadProducts()
+        .then((products) => {
+          if (products.length !== this.indexedCount) {
+            this.searchIndex.build(products);
+            this.indexedCount = products.length;
+          }
+        })
+        .finally(() => {
+          this.indexReady = null;
+        });
+    }
+    return this.indexReady;
+  }
+
+  /**
+   * Atualizar a lista conforme o texto digitado
+   */
+  async update() {
+    const term = this.input.value.trim();
+
+    if (term === '') {
+      this.showRecentSearches();
+      return;
+    }
+
+    if (term.length < this.config.minLength) {
+      this.close();
+      return;
+    }
+
+    try {
+      await this.ensureIndex();
+    } catch (error) {
+      console.error('Erro ao carregar sugestões de pesquisa:', error);
+      this.close();
+      return;
+    }
+
+    // O texto pode ter mudado enquanto os produtos carregavam
+    if (this.input.value.trim() !== term) return;
+
+    const products = this.searchIndex
+      .search(term, this.config.maxSuggestions)
+      .map((result) => result.product);
+
+    this.options = [
+      ...products.map((product) => ({ type: 'product', product })),
+      { type: 'query', term },
+    ];
+    this.render(term);
+  }
+
+  /**
+   * Exibir pesquisas recentes quando o campo está vazio
+   */
+  showRecentSearches() {
+    const recent = this.getRecentSearches();
+
+    if (recent.length === 0) {
+      this.close();
+      return;
+    }
+
+    this.options = recent.map((term) => ({ type: 'recent', term }));
+    this.render('');
+  }
+
+  /**
+   * Renderizar as opções da lista
+   * @param {string} term - Termo usado para destacar os trechos encontrados
+   */
+  render(term) {
+    const listbox = this.listbox;
+    listbox.innerHTML = '';
+    this.activeIndex = -1;
+    this.input.removeAttribute('aria-activedescendant');
+
+    if (this.options[0]?.type === 'recent') {
+      const header = document.createElement('li');
+      header.className = 'sugestoes-grupo';
+      header.setAttribute('role', 'presentation');
+      header.textContent = 'Pesquisas recentes';
+      listbox.appendChild(header);
+    }
+
+    this.options.forEach((option, index) => {
+      const li = document.createElement('li');
+      li.id = `sugestao-${index}`;
+      li.className = `sugestao sugestao-${option.type}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+      li.dataset.index = index;
+
+      if (option.type === 'product') {
+        const category = ProductRepository.getCategoryLabel(
+          option.product.category
+        );
+        li.innerHTML = `
+                    <span class="sugestao-titulo">${this.highlight(option.product.title, term)}</span>
+                    <span class="sugestao-categoria">${SearchSuggestions.escape(category)}</span>
+                `;
+      } else if (option.type === 'recent') {
+        li.textContent = `🕒 ${option.term}`;
+      } else {
+        li.textContent = `🔍 Ver todos os resultados para "${option.term}"`;
+      }
+
+      listbox.appendChild(li);
+    });
+
+    listbox.hidden = false;
+    this.input.setAttribute('aria-expanded', 'true');
+  }
+
+  /**
+   * Destacar trechos do texto que combinam com o termo (ignorando acentos)
+   * @param {string} text - Texto original
+   * @param {string} term - Termo pesquisado
+   * @returns {string} - HTML com os trechos em <mark>
+   */
+  highlight(text, term) {
+    // Cada caractere é normalizado isoladamente para manter as posições
+    const folded = Array.from(text)
+      .map((char) => SearchIndex.normalize(char) || ' ')
+      .map((char) => char[0])
+      .join('');
+    const marked = new Array(folded.length).fill(false);
+
+    SearchIndex.tokenize(term).forEach((token) => {
+      let position = folded.indexOf(token);
+      while (position !== -1) {
+        marked.fill(true, position, position + token.length);
+        position = folded.indexOf(token, position + token.length);
+      }
+    });
+
+    let html = '';
+    let isOpen = false;
+    Array.from(text).forEach((char, index) => {
+      if (marked[index] !== isOpen) {
+        html += marked[index] ? '<mark>' : '</mark>';
+        isOpen = marked[index];
+      }
+      html += SearchSuggestions.escape(char);
+    });
+
+    return isOpen ? `${html}</mark>` : html;
+  }
+
+  /**
+   * Tratar navegação por teclado
+   * @param {KeyboardEvent} event - Evento de teclado
+   */
+  handleKeydown(event) {
+    const isOpen = !this.listbox.hidden;
+
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        if (!isOpen) {
+          this.update();
+        } else {
+          this.setActive((this.activeIndex + 1) % this.options.length);
+        }
+        break;
+      case 'ArrowUp':
+        if (!isOpen) return;
+        event.preventDefault();
+        this.setActive(
+          (this.activeIndex - 1 + this.options.length) % this.options.length
+        );
+        break;
+      case 'Enter':
+        event.preventDefault();
+        if (isOpen && this.activeIndex >= 0) {
+          this.select(this.activeIndex);
+        } else {
+          this.submit(this.input.value);
+        }
+        break;
+      case 'Escape':
+        if (isOpen) {
+          event.preventDefault();
+          this.close();
+        } else {
+          this.input.value = '';
+        }
+        break;
+      case 'Tab':
+        this.close();
+        break;
+    }
+  }
+
+  /**
+   * Marcar opção ativa
+   * @param {number} index - Índice da opção
+   */
+  setActive(index) {
+    const previous = this.listbox.querySelector('[aria-selected="true"]');
+    if (previous) previous.setAttribute('aria-selected', 'false');
+
+    this.activeIndex = index;
+    const option = document.getElementById(`sugestao-${index}`);
+    if (!option) return;
+
+    option.setAttribute('aria-selected', 'true');
+    option.scrollIntoView({ block: 'nearest' });
+    this.input.setAttribute('aria-activedescendant', option.id);
+  }
+
+  /**
+   * Executar a ação da opção escolhida
+   * @param {number} index - Índice da opção
+   */
+  select(index) {
+    const option = this.options[index];
+    if (!option) return;
+
+    if (option.type === 'product') {
+      this.saveRecentSearch(this.input.value);
+      this.close();
+      this.onSelectProduct(option.product);
+    } else {
+      this.input.value = option.term;
+      this.submit(option.term);
+    }
+  }
+
+  /**
+   * Pesquisar o termo completo
+   * @param {string} term - Termo pesquisado
+   */
+  submit(term) {
+    this.close();
+    if (this.onSubmitQuery(term.trim())) {
+      this.saveRecentSearch(term);
+    }
+  }
+
+  /**
+   * Fechar a lista de sugestões
+   */
+  close() {
+    if (!this.listbox) return;
+
+    this.listbox.hidden = true;
+    this.activeIndex = -1;
+    this.input.setAttribute('aria-expanded', 'false');
+    this.input.removeAttribute('aria-activedescendant');
+  }
+
+  /**
+   * Obter pesquisas recentes salvas
+   * @returns {Array<string>} - Termos mais recentes primeiro
+   */
+  getRecentSearches() {
+    try {
+      return JSON.parse(localStorage.getItem(this.recentSearchesKey)) || [];
+    } catch (error) {
+      console.warn('Não foi possível carregar pesquisas recentes:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Salvar termo nas pesquisas recentes
+   * @param {string} term - Termo pesquisado
+   */
+  saveRecentSearch(term) {
+    const trimmedTerm = term.trim();
+    if (!trimmedTerm) return;
+
+    const recent = this.getRecentSearches().filter(
+      (saved) => saved.toLowerCase() !== trimmedTerm.toLowerCase()
+    );
+    recent.unshift(trimmedTerm);
+
+    try {
+      localStorage.setItem(
+        this.recentSearchesKey,
+        JSON.stringify(recent.slice(0, this.config.maxRecentSearches))
+      );
+    } catch (error) {
+      console.warn('Não foi possível salvar a pesquisa recente:', error);
+    }
+  }
+
+  /**
+   * Escapar texto antes de inserir no HTML
+   * @param {string} text - Texto original
+   * @returns {string} - Texto seguro para HTML
+   */
+  static escape(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    SearchIndex,
+    SearchResultsView,
+    SearchSuggestions,
+  };
+}
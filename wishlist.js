@@ -0,0 +1,328 @@
+// ========================================
+// GAMESTORE - LISTA DE FAVORITOS
+// ========================================
+
+/**
+ * Lista de favoritos persistida no localStorage
+ * Implementa padrão Singleton para que cards e página de favoritos
+ * compartilhem o mesmo estado
+ */
+class WishlistStore {
+  constructor() {
+    if (WishlistStore.instance) {
+      return WishlistStore.instance;
+    }
+
+    this.storageKey = 'gamestore_wishlist';
+    this.schemaVersion = 1;
+
+    // Guarda uma cópia do produto para exibir a lista sem carregar a API
+    this.items = new Map();
+    this.listeners = new Set();
+
+    this.load();
+
+    WishlistStore.instance = this;
+  }
+
+  /**
+   * Carregar favoritos do localStorage
+   */
+  load() {
+    try {
+      const data = JSON.parse(localStorage.getItem(this.storageKey));
+      if (!data?.items) return;
+
+      this.items = new Map(data.items.map((item) => [item.key, item]));
+    } catch (error) {
+      console.warn('Não foi possível carregar os favoritos:', error);
+    }
+  }
+
+  /**
+   * Salvar favoritos no localStorage
+   */
+  save() {
+    try {
+      const payload = {
+        version: this.schemaVersion,
+        items: Array.from(this.items.values()),
+      };
+      localStorage.setItem(this.storageKey, JSON.stringify(payload));
+    } catch (error) {
+      console.warn('Não foi possível salvar os favoritos:', error);
+    }
+  }
+
+  /**
+   * Verificar se um produto está nos favoritos
+   * @param {string} key - Chave do produto
+   * @returns {boolean} - Se o produto foi favoritado
+   */
+  has(key) {
+    return this.items.has(key);
+  }
+
+  /**
+   * Obter produto favoritado
+   * @param {string} key - Chave do produto
+   * @returns {Object|undefined} - Produto salvo
+   */
+  get(key) {
+    return this.items.get(key);
+  }
+
+  /**
+   * Adicionar produto aos favoritos
+   * @param {Object} product - Produto normalizado
+   */
+  add(product) {
+    if (this.items.has(product.key)) return;
+
+    this.items.set(product.key, {
+      key: product.key,
+      id: product.id,
+      source: product.source,
+      title: product.title,
+      price: product.price,
+      currency: product.currency,
+      category: product.category,
+      image: product.image || '',
+      addedAt: Date.now(),
+    });
+    this.commit();
+  }
+
+  /**
+   * Remover produto dos favoritos
+   * @param {string} key - Chave do produto
+   */
+  remove(key) {
+    if (this.items.delete(key)) {
+      this.commit();
+    }
+  }
+
+  /**
+   * Remover todos os favoritos
+   */
+  clear() {
+    this.items.clear();
+    this.commit();
+  }
+
+  /**
+   * Alternar produto nos favoritos
+   * @param {Object} product - Produto normalizado
+   * @returns {boolean} - Se o produto ficou nos favoritos
+   */
+  toggle(product) {
+    if (this.has(product.key)) {
+      this.remove(product.key);
+      return false;
+    }
+
+    this.add(product);
+    return true;
+  }
+
+  /**
+   * Obter favoritos, do mais recente para o mais antigo
+   * @returns {Array} - Produtos salvos
+   */
+  getItems() {
+    return Array.from(this.items.values()).sort(
+      (a, b) => b.addedAt - a.addedAt
+    );
+  }
+
+  /**
+   * Obter quantidade de favoritos
+   * @returns {number} - Quantidade de produtos salvos
+   */
+  getCount() {
+    return this.items.size;
+  }
+
+  /**
+   * Registrar função chamada a cada alteração dos favoritos
+   * @param {Function} listener - Função que recebe a lista
+   * @returns {Function} - Função para cancelar o registro
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Persistir e notificar alterações
+   */
+  commit() {
+    this.save();
+    this.notify();
+  }
+
+  /**
+   * Notificar ouvintes registrados
+   */
+  notify() {
+    this.listeners.forEach((listener) => listener(this));
+  }
+}
+
+/**
+ * Página de favoritos com opção de mover itens para o carrinho
+ */
+class WishlistView {
+  /**
+   * @param {HTMLElement} container - Elemento onde a lista é exibida
+   * @param {Object} options - Favoritos, carrinho, renderizador de produtos e notificação
+   */
+  constructor(
+    container,
+    { wishlist, cart, productRenderer, onNotify = () => {} }
+  ) {
+    this.container = container;
+    this.wishlist = wishlist;
+    this.cart = cart;
+    this.productRenderer = productRenderer;
+    this.onNotify = onNotify;
+  }
+
+  /**
+   * Vincular eventos e renderizar a lista
+   */
+  mount() {
+    this.container.addEventListener('click', (e) => this.handleAction(e));
+    this.wishlist.subscribe(() => this.render());
+    this.productRenderer.currencyService.subscribe(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Tratar cliques nos botões da lista
+   * @param {Event} event - Evento de clique
+   */
+  handleAction(event) {
+    const button = event.target.closest('button[data-action]');
+    if (!button) return;
+
+    const { action, key } = button.dataset;
+
+    switch (action) {
+      case 'move':
+        this.moveToCart(key);
+        break;
+      case 'remove':
+        this.wishlist.remove(key);
+        break;
+      case 'move-all': {
+        const items = this.wishlist.getItems();
+        items.forEach((item) => this.moveToCart(item.key, false));
+        this.onNotify(
+          `🛒 ${items.length} produto(s) movido(s) para o carrinho!`,
+          'success'
+        );
+        break;
+      }
+    }
+  }
+
+  /**
+   * Mover produto dos favoritos para o carrinho
+   * @param {string} key - Chave do produto
+   * @param {boolean} notify - Exibir notificação para este item
+   */
+  moveToCart(key, notify = true) {
+    const item = this.wishlist.get(key);
+    if (!item) return;
+
+    this.cart.addItem(item);
+    this.wishlist.remove(key);
+
+    if (notify) {
+      this.onNotify(`🛒 ${item.title} movido para o carrinho!`, 'success');
+    }
+  }
+
+  /**
+   * Renderizar favoritos ou estado vazio
+   */
+  render() {
+    const items = this.wishlist.getItems();
+
+    if (items.length === 0) {
+      this.container.innerHTML = `
+            <p class="favoritos-vazio">
+                Você ainda não tem favoritos. Toque no ♡ de um produto para salvá-lo aqui.
+                <a href="produtos.html">Ver catálogo</a>
+            </p>
+        `;
+      return;
+    }
+
+    this.container.innerHTML = `
+            <div class="favoritos-acoes">
+                <span>${items.length} produto(s) salvo(s)</span>
+                <button type="button" class="btn-mover-todos" data-action="move-all">Mover todos para o carrinho</button>
+            </div>
+            <ul class="favoritos-lista"></ul>
+        `;
+
+    const list = this.container.querySelector('.favoritos-lista');
+    items.forEach((item) => list.appendChild(this.createItemElement(item)));
+  }
+
+  /**
+   * Criar elemento HTML de um favorito
+   * @param {Object} item - Produto salvo
+   * @returns {HTMLElement} - Elemento do favorito
+   */
+  createItemElement(item) {
+    const li = document.createElement('li');
+    li.className = 'favorito-item';
+
+    li.innerHTML = `
+            <img alt="" loading="lazy">
+            <div class="favorito-info">
+                <h3></h3>
+                <span class="preco">${this.productRenderer.formatPrice(item)}</span>
+            </div>
+            <div class="favorito-botoes">
+                <button type="button" class="btn-mover-carrinho" data-action="move">Mover para o carrinho</button>
+                <button type="button" class="btn-remover-favorito" data-action="remove">Remover</button>
+            </div>
+        `;
+
+    // Título e imagem vêm da fonte de dados: só entram como texto e atributos
+    li.querySelector('img').setAttribute('src', item.image || '');
+    li.querySelectorAll('[data-action]').forEach((button) => {
+      button.dataset.key = item.key;
+    });
+    li.querySelector('.btn-remover-favorito').setAttribute(
+      'aria-label',
+      `Remover ${item.title} dos favoritos`
+    );
+
+    const productUrl = this.productRenderer.getProductUrl(item);
+    const heading = li.querySelector('h3');
+    if (productUrl) {
+      const link = document.createElement('a');
+      link.href = productUrl;
+      link.textContent = item.title;
+      heading.appendChild(link);
+    } else {
+      heading.textContent = item.title;
+    }
+
+    return li;
+  }
+}
+
+// Exportar classes para uso em outros arquivos (se necessário)
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    WishlistStore,
+    WishlistView,
+  };
+}